@@ -0,0 +1,90 @@
+/* =========================================
+   Nabnation Top 100 — album.js
+   - album.html?id=<albumKey> (core.js albumKey, data/albums.json)
+   - Cover, artist, debut / peak / weeks on the album chart
+   - Album chart run (chartrun.js) + week by week, linking albums.html
+   - Every charting song on the album
+   - Mounted by site.js
+========================================= */
+
+function albumHeroHtml(album) {
+  const cover = escapeHtml(album.image || PLACEHOLDER_PRIMARY);
+  const lastfm = album.url ? `<a href="${escapeHtml(album.url)}" target="_blank" rel="noopener">Last.fm</a>` : "";
+
+  return `
+    <img class="cover songCover" src="${cover}" alt="" />
+    <div class="songInfo">
+      <div class="expandTitle">${escapeHtml(album.title)}</div>
+      <div class="expandArtist">${artistLinksHtml(album.artist)}</div>
+
+      <div class="expandStats">
+        <span>Debut <b><a href="${albumChartUrl(album.debutDate)}">${escapeHtml(album.debutDate)}</a></b></span>
+        <span>Peak <b>#${escapeHtml(album.peak)}</b> on <a href="${albumChartUrl(album.peakDate)}">${escapeHtml(album.peakDate)}</a></span>
+        <span>Weeks <b>${escapeHtml(album.weeks)}</b></span>
+        <span>Charting songs <b>${escapeHtml(album.songs.length)}</b></span>
+      </div>
+
+      ${lastfm ? `<div class="expandMeta"><span>${lastfm}</span></div>` : ""}
+    </div>
+  `;
+}
+
+function albumSongRowHtml(s, i) {
+  return `
+    <li class="cmpRow noCover">
+      <div class="cmpRank">${i + 1}</div>
+      <div class="cmpSong">
+        <div class="cmpTitle"><a href="${songUrl(s.key)}">${escapeHtml(s.title)}</a></div>
+        <div class="cmpArtist">${artistLinksHtml(s.artist)} • Peak #${escapeHtml(s.peak)} • ${escapeHtml(s.weeks)} week(s) • debut <a href="${weekUrl(s.debutDate)}">${escapeHtml(s.debutDate)}</a></div>
+      </div>
+    </li>
+  `;
+}
+
+// ---------- mount ----------
+async function mountAlbumPage(ctx) {
+  const id = qs("id");
+  if (!id) throw new Error("Missing ?id= in URL");
+
+  const manifest = await loadJSON(`${DATA_DIR}/manifest.json`);
+  const weeksDesc = Array.isArray(manifest?.weeks) ? manifest.weeks.slice() : [];
+  if (!weeksDesc.length) throw new Error("No weeks found in data/manifest.json");
+
+  const charts = await loadAlbumCharts((name) => loadJSON(`${DATA_DIR}/${name}`), weeksDesc);
+  if (ctx.signal.aborted) return; // navigated away while loading
+  if (!charts) throw new Error(`No album data yet (data/${ALBUMS_FILE}).`);
+
+  const album = albumDetail(charts, charts.index, charts.albumsData, id);
+  if (!album) throw new Error("Album not found (none of its songs have charted yet).");
+
+  document.title = `${album.title} — ${album.artist} • Nabnation Top 100`;
+  document.getElementById("albumTitle").textContent = album.title;
+  document.getElementById("albumMeta").innerHTML =
+    `${artistLinksHtml(album.artist)} • Peak #${escapeHtml(album.peak)} • ${escapeHtml(album.weeks)} week(s) on the album chart`;
+
+  const hero = document.getElementById("albumHero");
+  hero.innerHTML = albumHeroHtml(album);
+  attachImgFallback(hero);
+
+  const run = document.getElementById("albumRun");
+  run.innerHTML = buildChartRunSvg(album.history, { weeks: charts.weeksAsc, weekHref: albumChartUrl, label: album.title });
+  setupChartRun(run);
+
+  document.getElementById("albumSongs").innerHTML = album.songs.map(albumSongRowHtml).join("");
+
+  document.getElementById("albumHistory").innerHTML = album.history.map(h => `
+    <div class="historyRow">
+      <span><a href="${albumChartUrl(h.week)}">${escapeHtml(h.week)}</a></span>
+      <span>Rank <b>#${escapeHtml(h.rank)}</b></span>
+      <span>${escapeHtml(h.songs)} song(s) • ${escapeHtml(fmtPoints(h.score))} pts</span>
+    </div>
+  `).join("");
+}
+
+registerPage("album", {
+  mount: (ctx) => mountAlbumPage(ctx).catch((err) => {
+    console.error(err);
+    const hero = document.getElementById("albumHero");
+    if (hero) hero.innerHTML = `<div class="mutedSmall">${escapeHtml(err.message)}</div>`;
+  })
+});
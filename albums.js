@@ -0,0 +1,89 @@
+/* =========================================
+   Nabnation Top 100 — albums.js
+   - albums.html?week=<week>: weekly album chart (core.js buildAlbumCharts)
+   - Songs are mapped to albums through data/albums.json
+     (scripts/build-albums.js, Last.fm track info)
+   - LW / peak / weeks per album, plus the songs behind each entry
+   - Mounted by site.js
+========================================= */
+
+function albumMoveBadge(mv) {
+  if (!mv || !mv.type) return { text: "—", cls: "" };
+  if (mv.type === "new") return { text: "NEW", cls: "new" };
+  if (mv.type === "re") return { text: "RE", cls: "re" };
+  if (mv.type === "up") return { text: `▲ ${mv.value}`, cls: "up" };
+  if (mv.type === "down") return { text: `▼ ${mv.value}`, cls: "down" };
+  return { text: "—", cls: "same" };
+}
+
+function albumRowHtml(e) {
+  const mv = albumMoveBadge(e.movement);
+  const cover = escapeHtml(e.image || PLACEHOLDER_PRIMARY);
+  const songs = e.songs
+    .map(s => `<a href="${songUrl(s.key)}">${escapeHtml(s.title)}</a> <span class="mutedSmall">#${escapeHtml(s.rank)}</span>`)
+    .join(", ");
+
+  return `
+    <li class="cmpRow albumRow">
+      <div class="cmpRank">${escapeHtml(e.rank)}</div>
+      <div class="move ${mv.cls}">${escapeHtml(mv.text)}</div>
+      <img class="cover" src="${cover}" alt="" loading="lazy" />
+      <div class="cmpSong">
+        <div class="cmpTitle"><a href="${albumUrl(e.id)}">${escapeHtml(e.title)}</a></div>
+        <div class="cmpArtist">${artistLinksHtml(e.artist)}</div>
+        <div class="recordDetail">${songs}</div>
+      </div>
+      <div class="albumStats">
+        <span>LW <b>${escapeHtml(e.lastWeek ?? "—")}</b></span>
+        <span>Peak <b>${escapeHtml(e.peak)}</b></span>
+        <span>Wks <b>${escapeHtml(e.weeks)}</b></span>
+        <span class="mutedSmall">${escapeHtml(fmtPoints(e.score))} pts</span>
+      </div>
+    </li>
+  `;
+}
+
+// ---------- mount ----------
+async function mountAlbumsPage(ctx) {
+  const manifest = await loadJSON(`${DATA_DIR}/manifest.json`);
+  const weeksDesc = Array.isArray(manifest?.weeks) ? manifest.weeks.slice() : [];
+  if (!weeksDesc.length) throw new Error("No weeks found in data/manifest.json");
+
+  const week = weeksDesc.includes(qs("week")) ? qs("week") : weeksDesc[0];
+
+  const weekSelect = document.getElementById("albumWeekSelect");
+  weekSelect.innerHTML = weeksDesc.map(w => `<option value="${escapeHtml(w)}">${escapeHtml(w)}</option>`).join("");
+  weekSelect.value = week;
+  weekSelect.addEventListener("change", () => navigate(albumChartUrl(weekSelect.value), { replace: true }));
+
+  document.getElementById("albumsWeek").textContent = `Week of ${week}`;
+
+  const charts = await loadAlbumCharts((name) => loadJSON(`${DATA_DIR}/${name}`), weeksDesc);
+  if (ctx.signal.aborted) return; // navigated away while loading
+
+  const list = document.getElementById("albumChart");
+  if (!charts) {
+    list.innerHTML = `<li class="mutedSmall">No album data yet (data/${escapeHtml(ALBUMS_FILE)}).</li>`;
+    return;
+  }
+
+  const entries = charts.byWeek.get(week) || [];
+  list.innerHTML = entries.length
+    ? entries.map(albumRowHtml).join("")
+    : `<li class="mutedSmall">No songs with album info this week.</li>`;
+  attachImgFallback(list);
+
+  const footInfo = document.getElementById("footInfo");
+  if (footInfo) {
+    const songs = entries.reduce((n, e) => n + e.songs.length, 0);
+    footInfo.textContent = `${entries.length} album(s) from ${songs} charting song(s) with album info • score = points, or ${CHART_SIZE + 1} − rank without points`;
+  }
+}
+
+registerPage("albums", {
+  mount: (ctx) => mountAlbumsPage(ctx).catch((err) => {
+    console.error(err);
+    const list = document.getElementById("albumChart");
+    if (list) list.innerHTML = `<li class="mutedSmall">${escapeHtml(err.message)}</li>`;
+  })
+});
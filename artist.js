@@ -1,115 +1,16 @@
-const PLACEHOLDER = "covers/_placeholder.png";
-
-function qs(name) {
-  return new URLSearchParams(location.search).get(name);
-}
-
-async function loadJSON(path) {
-  const res = await fetch(path, { cache: "no-store" });
-  if (!res.ok) throw new Error(`Failed to load ${path}`);
-  return await res.json();
-}
-
-function esc(str) {
-  return String(str)
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll('"', "&quot;")
-    .replaceAll("'", "&#039;");
-}
-
-function artistUrl(artistName) {
-  return `artist.html?name=${encodeURIComponent(artistName)}`;
-}
-
-function weekUrl(weekStr) {
-  return `/?week=${encodeURIComponent(weekStr)}`;
-}
-
-function attachImgFallback(root) {
-  root.querySelectorAll("img.cover").forEach(img => {
-    img.addEventListener("error", () => {
-      if (img.src.includes(PLACEHOLDER)) return;
-      img.src = PLACEHOLDER;
-    });
-  });
-}
-
-function setupArtistSearch(catalog) {
-  const input = document.getElementById("artistSearch");
-  const box = document.getElementById("searchResults");
-  if (!input || !box) return;
-
-  const artists = Object.keys(catalog?.artists || {});
-  const artistStats = catalog?.artists || {};
-
-  function hide() {
-    box.classList.add("hidden");
-    box.innerHTML = "";
-  }
-
-  function show(results) {
-    box.classList.remove("hidden");
-    box.innerHTML = results.map(name => {
-      const songsObj = artistStats[name]?.songs || {};
-      const songCount = Object.keys(songsObj).length;
-      let entries = 0;
-      for (const k of Object.keys(songsObj)) entries += (songsObj[k]?.history?.length || 0);
-
-      return `
-        <div class="searchItem" data-artist="${esc(name)}">
-          <div class="name">${esc(name)}</div>
-          <div class="meta">${songCount} song(s) • ${entries} chart entry(s)</div>
-        </div>
-      `;
-    }).join("");
-
-    box.querySelectorAll(".searchItem").forEach(el => {
-      el.addEventListener("click", () => {
-        const a = el.getAttribute("data-artist");
-        if (!a) return;
-        location.href = artistUrl(a);
-      });
-    });
-  }
-
-  function filter(q) {
-    const s = q.trim().toLowerCase();
-    if (!s) return [];
-    const starts = [];
-    const includes = [];
-    for (const a of artists) {
-      const low = a.toLowerCase();
-      if (low.startsWith(s)) starts.push(a);
-      else if (low.includes(s)) includes.push(a);
-    }
-    return [...starts, ...includes].slice(0, 10);
-  }
-
-  input.addEventListener("input", () => {
-    const results = filter(input.value);
-    if (results.length === 0) hide();
-    else show(results);
-  });
-
-  input.addEventListener("keydown", (e) => {
-    if (e.key === "Escape") hide();
-    if (e.key === "Enter") {
-      const results = filter(input.value);
-      if (results.length > 0) location.href = artistUrl(results[0]);
-    }
-  });
-
-  document.addEventListener("click", (e) => {
-    if (!box.contains(e.target) && e.target !== input) hide();
-  });
-
-  input.addEventListener("focus", () => {
-    const results = filter(input.value);
-    if (results.length > 0) show(results);
-  });
-}
+/* =========================================
+   Nabnation Top 100 — artist.js
+   - artist.html?name=<artist> from data/catalog.json
+   - Names resolve through the artist identity layer: aliases, other
+     casings and collaboration credits redirect to the canonical page
+   - Lists featured appearances too, marked "Featured"
+   - Songs sorted like a chart (best peak, weeks, title)
+   - Click a row for its chart run + week-by-week history
+   - Award tally across all of the artist's songs (core.js artistAwardTally)
+   - Chart timeline: songs × weeks heatmap coloured by rank, plus songs on
+     chart / best position / points per week
+   - Mounted by site.js; the open row and song filter come back on back/forward
+========================================= */
 
 function computeStatsFromHistory(history) {
   const h = Array.isArray(history) ? history : [];
@@ -137,17 +38,112 @@ function computeStatsFromHistory(history) {
   return { debut, peakPos, peakDate, weeks, rows: newestFirst };
 }
 
-function buildHistoryHtml(rows) {
+// ---------- chart-presence timeline ----------
+// Built from the same catalog history as computeStatsFromHistory.
+// Columns run from the artist's first chart week to the newest chart week,
+// so weeks off the chart show as gaps.
+function buildArtistTimeline(songs, weeksAsc) {
+  const ranks = songs.map(s => new Map((s.history || []).map(h => [h.week, h])));
+  const charted = new Set(songs.flatMap(s => (s.history || []).map(h => h.week)));
+  const first = weeksAsc.findIndex(w => charted.has(w));
+  const weeks = first < 0 ? [] : weeksAsc.slice(first);
+
+  const totals = weeks.map((week) => {
+    let count = 0;
+    let best = null;
+    let points = null;
+    for (const byWeek of ranks) {
+      const h = byWeek.get(week);
+      if (!h) continue;
+      count += 1;
+      if (best === null || h.rank < best) best = h.rank;
+      if (typeof h.points === "number") points = (points || 0) + h.points;
+    }
+    return { week, count, best, points };
+  });
+
+  return {
+    weeks,
+    totals,
+    rows: songs.map((s, i) => ({ id: s.id, title: s.title, cells: weeks.map(w => ranks[i].get(w)?.rank ?? null) }))
+  };
+}
+
+// Heat buckets, also used for the legend
+const TIMELINE_LEVELS = [
+  { max: 1, cls: "tl1", label: "#1" },
+  { max: 10, cls: "tl2", label: "2–10" },
+  { max: 25, cls: "tl3", label: "11–25" },
+  { max: 50, cls: "tl4", label: "26–50" },
+  { max: Infinity, cls: "tl5", label: "51+" }
+];
+
+function timelineLevel(rank) {
+  return TIMELINE_LEVELS.find(l => rank <= l.max).cls;
+}
+
+function buildArtistTimelineHtml(timeline) {
+  const { weeks, totals, rows } = timeline;
+  if (!weeks.length) return "";
+
+  const maxPoints = Math.max(0, ...totals.map(t => t.points || 0));
+  const cols = `style="--tlWeeks:${weeks.length}"`;
+
+  // Month label on the first week of each month
+  const head = weeks.map((w, i) => {
+    const month = w.slice(0, 7);
+    const label = (i === 0 || weeks[i - 1].slice(0, 7) !== month) ? MONTH_NAMES[Number(w.slice(5, 7)) - 1].slice(0, 3) : "";
+    return `<div class="tlMonth">${escapeHtml(label)}</div>`;
+  }).join("");
+
+  const countRow = totals.map(t => `<a class="tlNum" href="${weekUrl(t.week)}" title="${escapeHtml(t.week)}: ${t.count} song(s)">${t.count || ""}</a>`).join("");
+  const bestRow = totals.map(t => t.best === null
+    ? `<div class="tlCell"></div>`
+    : `<a class="tlCell ${timelineLevel(t.best)}" href="${weekUrl(t.week)}" title="${escapeHtml(t.week)}: best #${t.best}">${t.best}</a>`
+  ).join("");
+  const pointsRow = totals.map(t => {
+    const pct = (maxPoints && t.points) ? Math.max(6, Math.round((t.points / maxPoints) * 100)) : 0;
+    const title = t.count ? `${fmtPoints(t.points)} pts` : "not on the chart";
+    return `<div class="tlBar" title="${escapeHtml(t.week)}: ${escapeHtml(title)}"><span style="height:${pct}%"></span></div>`;
+  }).join("");
+
+  const songRows = rows.map(r => `
+    <a class="tlLabel" href="${songUrl(r.id)}" title="${escapeHtml(r.title)}">${escapeHtml(r.title)}</a>
+    ${r.cells.map((rank, i) => rank === null
+      ? `<div class="tlCell"></div>`
+      : `<a class="tlCell ${timelineLevel(rank)}" href="${weekUrl(weeks[i])}" title="${escapeHtml(r.title)} — ${escapeHtml(weeks[i])}: #${rank}"></a>`
+    ).join("")}
+  `).join("");
+
+  return `
+    <h2 class="songHead">Chart timeline</h2>
+    <div class="tlLegend">
+      ${TIMELINE_LEVELS.map(l => `<span><i class="tlCell ${l.cls}"></i>${escapeHtml(l.label)}</span>`).join("")}
+    </div>
+    <div class="tlScroll">
+      <div class="tlGrid" ${cols}>
+        <div class="tlLabel"></div>${head}
+        <div class="tlLabel tlStat">Songs</div>${countRow}
+        <div class="tlLabel tlStat">Best</div>${bestRow}
+        <div class="tlLabel tlStat">Points</div>${pointsRow}
+        ${songRows}
+      </div>
+    </div>
+  `;
+}
+
+function buildArtistHistoryHtml(rows, weeksAsc, title) {
   if (!rows || rows.length === 0) {
     return `<div class="history"><div class="historyRow"><span>No history yet.</span></div></div>`;
   }
 
   return `
+    ${buildChartRunSvg(rows, { weeks: weeksAsc, weekHref: weekUrl, label: title })}
     <div class="history">
       ${rows.map(h => `
         <div class="historyRow">
-          <span><a href="${weekUrl(h.week)}">${esc(h.week)}</a></span>
-          <span>Rank <b>#${esc(h.rank)}</b></span>
+          <span><a href="${weekUrl(h.week)}">${escapeHtml(h.week)}</a></span>
+          <span>Rank <b>#${escapeHtml(h.rank)}</b></span>
         </div>
       `).join("")}
     </div>
@@ -155,41 +151,89 @@ function buildHistoryHtml(rows) {
 }
 
 function rowHtml(songId, song, artistName, stats) {
-  const cover = song.cover ? esc(song.cover) : PLACEHOLDER;
+  const cover = song.cover ? escapeHtml(song.cover) : PLACEHOLDER_PRIMARY;
+  const role = song.role === "featured" ? `<span class="roleTag">Featured</span>` : "";
 
   return `
-    <div class="aRow" data-songid="${esc(songId)}">
-      <div class="aRowTop" tabindex="0" role="button" aria-expanded="false" aria-controls="exp_${esc(songId)}">
+    <div class="aRow" data-songid="${escapeHtml(songId)}">
+      <div class="aRowTop" tabindex="0" role="button" aria-expanded="false" aria-controls="exp_${escapeHtml(songId)}">
         <div class="aSongCell">
           <img class="cover" src="${cover}" alt="" loading="lazy" />
           <div class="aSongText">
-            <div class="aSongTitle">${esc(song.title)}</div>
+            <div class="aSongTitle">
+              <a href="${songUrl(songId)}" onclick="event.stopPropagation()">${escapeHtml(song.title)}</a>
+            </div>
             <div class="aSongArtist">
-              <a href="${artistUrl(artistName)}" onclick="event.stopPropagation()">${esc(artistName)}</a>
+              ${artistLinksHtml(song.artist || artistName, ` onclick="event.stopPropagation()"`)}${role}
             </div>
           </div>
         </div>
 
-        <div class="aCell center">${esc(stats.debut)}</div>
-        <div class="aCell center"><b class="strong">#${esc(stats.peakPos)}</b></div>
-        <div class="aCell center">${esc(stats.peakDate)}</div>
-        <div class="aCell center"><b class="strong">${esc(stats.weeks)}</b></div>
+        <div class="aCell center">${escapeHtml(stats.debut)}</div>
+        <div class="aCell center"><b class="strong">#${escapeHtml(stats.peakPos)}</b></div>
+        <div class="aCell center">${escapeHtml(stats.peakDate)}</div>
+        <div class="aCell center"><b class="strong">${escapeHtml(stats.weeks)}</b></div>
       </div>
 
-      <div class="expand" id="exp_${esc(songId)}"></div>
+      <div class="expand" id="exp_${escapeHtml(songId)}"></div>
     </div>
   `;
 }
 
-async function main() {
-  const name = qs("name");
-  if (!name) throw new Error("Missing ?name= in URL");
+// Filled after the table: needs the full index, not just the catalog
+async function fillArtistAwards(name, ctx) {
+  const box = document.getElementById("artistAwards");
+  if (!box) return;
+
+  const manifest = await loadJSON(`${DATA_DIR}/manifest.json`);
+  const weeksDesc = Array.isArray(manifest?.weeks) ? manifest.weeks.slice() : [];
+  const { index } = await loadFullIndex((file) => loadJSON(`${DATA_DIR}/${file}`), weeksDesc);
+  if (ctx.signal.aborted) return;
+
+  const tally = artistAwardTally(index, name, siteArtistIdentity);
+  box.innerHTML = `
+    <h2 class="songHead">Awards <b>${escapeHtml(tally.total)}</b></h2>
+    ${tally.total ? `
+      <div class="awardTally">
+        ${tally.counts.map(c => `<span><span class="awardText ${escapeHtml(c.cls)}">${escapeHtml(c.name)}</span> ×${escapeHtml(c.count)}</span>`).join("")}
+      </div>
+    ` : `<div class="mutedSmall">No weekly awards yet.</div>`}
+  `;
+}
+
+// Catalog name for whatever was in ?name=: exact, alias / other spelling,
+// or the first credited artist of a collaboration ("A & B" -> "A")
+function resolveArtistName(catalog, wanted) {
+  const artists = catalog?.artists || {};
+  if (artists[wanted]) return wanted;
+
+  const byId = new Map(Object.keys(artists).map(n => [artistId(n), n]));
+  const direct = byId.get(artistId(canonicalArtist(siteArtistIdentity, wanted)));
+  if (direct) return direct;
 
-  const catalog = await loadJSON("data/catalog.json");
-  setupArtistSearch(catalog);
+  for (const c of artistCredits(siteArtistIdentity, wanted, "")) {
+    if (byId.has(c.id)) return byId.get(c.id);
+  }
+  return null;
+}
 
-  const artist = catalog.artists?.[name];
-  if (!artist) throw new Error("Artist not found in catalog yet (they may not have charted).");
+async function mountArtistPage(ctx) {
+  const wanted = qs("name");
+  if (!wanted) throw new Error("Missing ?name= in URL");
+
+  const catalog = await loadJSON(`${DATA_DIR}/catalog.json`);
+  if (ctx.signal.aborted) return; // navigated away while loading
+
+  const name = resolveArtistName(catalog, wanted);
+  if (!name) throw new Error("Artist not found in catalog yet (they may not have charted).");
+
+  // Old / alias URL: swap the history entry for the canonical one
+  if (name !== wanted) {
+    navigate(artistUrl(name), { replace: true });
+    return;
+  }
+
+  const artist = catalog.artists[name];
 
   document.getElementById("artistName").textContent = name;
 
@@ -210,12 +254,16 @@ async function main() {
 
   // Header meta line
   const totalSongs = computed.length;
+  const featured = computed.filter(s => s.role === "featured").length;
   const totalWeeks = computed.reduce((acc, s) => acc + (s.stats.weeks || 0), 0);
   const bestPeak = computed.length ? computed[0].stats.peakPos : "—";
   document.getElementById("artistMeta").textContent =
-    `${totalSongs} song(s) charted • ${totalWeeks} total chart entries • Best peak: #${bestPeak}`;
+    `${totalSongs} song(s) charted${featured ? ` (${featured} featured)` : ""} • ${totalWeeks} total chart entries • Best peak: #${bestPeak}`;
 
   // Render table
+  const timelineBox = document.getElementById("artistTimeline");
+  if (timelineBox) timelineBox.innerHTML = buildArtistTimelineHtml(buildArtistTimeline(computed, catalog.weeksIncluded || []));
+
   const table = document.getElementById("artistTable");
   table.innerHTML = computed.map(s => rowHtml(s.id, s, name, s.stats)).join("");
   attachImgFallback(table);
@@ -258,28 +306,28 @@ async function main() {
       <div class="expandInner">
         <div class="expandTop">
           <div>
-            <div class="expandTitle">${esc(song?.title || "Song")}</div>
+            <div class="expandTitle">${escapeHtml(song?.title || "Song")}</div>
             <div class="expandSub">
-              <a href="${artistUrl(name)}" style="color:inherit; text-decoration:none; border-bottom:1px solid rgba(244,246,251,.25)">
-                ${esc(name)}
-              </a>
+              ${artistLinksHtml(song?.artist || name, ` style="color:inherit; text-decoration:none; border-bottom:1px solid rgba(244,246,251,.25)"`)}
             </div>
             <div class="pills" style="margin-top:10px">
-              <span>Debut <b>${esc(stats.debut)}</b></span>
-              <span>Peak <b>#${esc(stats.peakPos)}</b></span>
-              <span>Peak Date <b>${esc(stats.peakDate)}</b></span>
-              <span>Weeks <b>${esc(stats.weeks)}</b></span>
+              <span>Debut <b>${escapeHtml(stats.debut)}</b></span>
+              <span>Peak <b>#${escapeHtml(stats.peakPos)}</b></span>
+              <span>Peak Date <b>${escapeHtml(stats.peakDate)}</b></span>
+              <span>Weeks <b>${escapeHtml(stats.weeks)}</b></span>
             </div>
             <div class="expandLinks">
+              <a href="${songUrl(songId)}">Open song page</a>
               <a href="${artistUrl(name)}">Refresh artist page</a>
               <a href="/">Back to chart</a>
             </div>
           </div>
         </div>
 
-        ${buildHistoryHtml(stats.rows)}
+        ${buildArtistHistoryHtml(stats.rows, catalog.weeksIncluded, song?.title)}
       </div>
     `;
+    setupChartRun(exp);
   }
 
   table.querySelectorAll(".aRow").forEach(row => {
@@ -317,10 +365,34 @@ async function main() {
     updateCount();
   });
 
+  // Back/forward: same filter, same open row
+  const saved = ctx.state;
+  if (saved?.filter) {
+    filterInput.value = saved.filter;
+    filterInput.dispatchEvent(new Event("input"));
+  }
+  const reopen = saved?.open && [...table.querySelectorAll(".aRow")].find(r => r.getAttribute("data-songid") === saved.open);
+  if (reopen) toggleRow(reopen);
+
   updateCount();
+
+  fillArtistAwards(name, ctx).catch((e) => {
+    console.warn("Award tally failed", e);
+    document.getElementById("artistAwards")?.remove();
+  });
+}
+
+function saveArtistState() {
+  return {
+    open: document.querySelector("#artistTable .aRow.open")?.getAttribute("data-songid") || null,
+    filter: document.getElementById("songFilter")?.value || ""
+  };
 }
 
-main().catch(err => {
-  console.error(err);
-  alert(err.message);
+registerPage("artist", {
+  mount: (ctx) => mountArtistPage(ctx).catch(err => {
+    console.error(err);
+    alert(err.message);
+  }),
+  saveState: saveArtistState
 });
@@ -1,126 +1,77 @@
 /* =========================================
    Nabnation Top 100 — chart.js
-   - Correct per-week stats (LW/Peak/Weeks)
-   - Re-entry LW fix (LW —)
-   - Awards per week (inline under artist)
-   - Clean artist search (removes pts/listeners junk)
-   - Robust cover fallbacks (GitHub Pages underscore issue)
+   - Per-week stats (LW/Peak/Weeks) + awards come from core.js
+   - Loads data/derived.json when fresh, full week scan otherwise
+   - Points / listeners per row + week-over-week point gain
+   - Chart-run graph in the expand panel (chartrun.js)
+   - Last.fm album / length / global listeners + Last.fm and MusicBrainz
+     links in the expand panel (data/trackinfo.json)
+   - Clean artist + song names (removes pts/listeners junk); the header
+     search itself is site.js setupSiteSearch
+   - Song titles link to song.html?key=<songKey>
+   - Milestone badges per row + "This week's milestones" above the chart
+   - Award colours are CSS classes (core.js AWARDS); the expand panel lists
+     every award the song had won up to the week shown
+   - Filter / sort controls (?show=new|re|up|down, ?artist=, ?tag=, ?sort=),
+     kept in the URL so a view can be shared; tags are the ones tags.html
+     uses (core.js buildTagLookup)
+   - Export menu: the derived week as CSV / JSON / Markdown / Discord text
+     (core.js exportWeek, same as scripts/export-week.js), or the top 10 as
+     a share image (sharecard.js, same as scripts/build-share.js)
+   - ?debug=reconcile: stored vs derived LW/Peak/Weeks/movement
+   - ?compare=<week>: two charts side by side, entered / left, artist share
+   - ?period=<year>|<year>-Q<n>|<year>-<month>|all: year-end, quarterly,
+     monthly and all-time charts with the same rows + a recap (top artists, #1s)
+   - Mounted by site.js (shared helpers, single-page navigation);
+     open rows are restored on back/forward
 ========================================= */
 
-const DATA_DIR = "./data";
-
-// GitHub Pages + Jekyll sometimes breaks files starting with "_"
-const PLACEHOLDER_PRIMARY = "covers/_placeholder.png";
-const PLACEHOLDER_FALLBACK = "covers/placeholder.png";
-
 // ---------- small helpers ----------
-function qs(name) {
-  return new URLSearchParams(location.search).get(name);
-}
-
+// Other params (e.g. ?debug=reconcile) stay on the URL; a week leaves ?period=
 function setWeekParam(week) {
   const u = new URL(location.href);
   u.searchParams.set("week", week);
-  location.href = u.toString();
-}
-
-function escapeHtml(str) {
-  return String(str ?? "")
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll('"', "&quot;")
-    .replaceAll("'", "&#039;");
-}
-
-function safeText(v, fallback = "") {
-  const s = String(v ?? "").trim();
-  return s ? s : fallback;
-}
-
-// Remove junk that accidentally got glued onto artist names
-// Examples:
-// "fakemink (60.0 pts) (6 listeners)* (new release)"
-function cleanArtistName(raw) {
-  let s = safeText(raw);
-  s = s.replace(/\s*\*+\s*$/g, ""); // trailing *'s
-  // Remove parentheses segments that look like pts/listeners/new release
-  s = s.replace(/\s*\(([^)]*)\)\s*/g, (m, inner) => {
-    const t = inner.toLowerCase();
-    if (
-      t.includes("pt") ||
-      t.includes("pts") ||
-      t.includes("listener") ||
-      t.includes("listeners") ||
-      t.includes("new release")
-    ) return " ";
-    return ` (${inner}) `;
-  });
-  // Collapse whitespace
-  s = s.replace(/\s+/g, " ").trim();
-  return s;
-}
-
-function cleanTitle(raw) {
-  let s = safeText(raw);
-  s = s.replace(/\s+/g, " ").trim();
-  return s;
-}
-
-function songKey(title, artist) {
-  const t = cleanTitle(title).toLowerCase();
-  const a = cleanArtistName(artist).toLowerCase();
-  // stable key
-  return `${a} — ${t}`.trim();
-}
-
-function artistUrl(artistName) {
-  const a = cleanArtistName(artistName);
-  return `artist.html?name=${encodeURIComponent(a)}`;
+  u.searchParams.delete("period");
+  navigate(u.toString());
 }
 
-function weekUrl(weekStr) {
-  return `?week=${encodeURIComponent(weekStr)}`;
+// Empty value drops ?compare= and goes back to the normal chart
+function setCompareParam(week) {
+  const u = new URL(location.href);
+  if (week) u.searchParams.set("compare", week);
+  else u.searchParams.delete("compare");
+  u.searchParams.delete("period");
+  navigate(u.toString());
 }
 
-async function loadJSON(path) {
-  const res = await fetch(path, { cache: "no-store" });
-  if (!res.ok) throw new Error(`Failed to load ${path} (${res.status})`);
-  return await res.json();
+// A period replaces the week; empty value goes back to the weekly chart
+function setPeriodParam(period) {
+  const u = new URL(location.href);
+  if (period) {
+    u.searchParams.set("period", period);
+    u.searchParams.delete("week");
+    u.searchParams.delete("compare");
+  } else {
+    u.searchParams.delete("period");
+  }
+  navigate(u.toString());
 }
 
 function fmtRankOrDash(v) {
   return (v === null || v === undefined) ? "—" : String(v);
 }
 
-// Attach robust fallback to ALL images inside root
-function attachImgFallback(root) {
-  const imgs = root.querySelectorAll("img");
-  imgs.forEach((img) => {
-    img.addEventListener("error", () => {
-      // Prevent infinite loops
-      const tried = img.getAttribute("data-fallback-tried");
-      if (tried === "2") return;
-
-      const cur = img.getAttribute("src") || "";
-      // If it’s already the fallback, stop after second try
-      if (cur.includes("_placeholder")) {
-        img.setAttribute("data-fallback-tried", "2");
-        img.src = PLACEHOLDER_FALLBACK;
-        return;
-      }
-
-      if (cur.includes("placeholder.png") || cur.includes("covers/placeholder.png")) {
-        img.setAttribute("data-fallback-tried", "2");
-        img.src = PLACEHOLDER_PRIMARY;
-        return;
-      }
+// Week-over-week point gain: "+12.5%", "-3%", "—" when there is nothing to compare
+function fmtPct(v) {
+  if (typeof v !== "number" || !Number.isFinite(v)) return "—";
+  const rounded = Math.round(v * 10) / 10;
+  const sign = rounded > 0 ? "+" : "";
+  return `${sign}${rounded.toLocaleString("en-US", { maximumFractionDigits: 1 })}%`;
+}
 
-      // First fallback attempt: try placeholder (no underscore)
-      img.setAttribute("data-fallback-tried", "1");
-      img.src = PLACEHOLDER_FALLBACK;
-    });
-  });
+function pctClass(v) {
+  if (typeof v !== "number" || !Number.isFinite(v) || v === 0) return "";
+  return v > 0 ? "up" : "down";
 }
 
 // ---------- movement / badges ----------
@@ -128,7 +79,7 @@ function movementBadge(mv) {
   // mv: {type, value}
   if (!mv || !mv.type) return { text: "—", cls: "" };
 
-  const type = mv.type;
+  const type = normalizeMovementType(mv.type);
   const val = mv.value;
 
   if (type === "new") return { text: "NEW", cls: "new" };
@@ -140,388 +91,758 @@ function movementBadge(mv) {
   return { text: "—", cls: "" };
 }
 
-// ---------- Awards ----------
-function computeAwardsForWeek(entries) {
-  // Returns Map(songKey -> array of award strings)
-  const awards = new Map();
+function buildHistoryHtml(history, weeksAsc, title) {
+  if (!history.length) return `<div class="muted">No history available.</div>`;
 
-  function add(key, obj) {
-    if (!awards.has(key)) awards.set(key, []);
-    awards.get(key).push(obj);
-  }
+  return `
+    ${buildChartRunSvg(history, { weeks: weeksAsc, weekHref: weekUrl, label: title })}
+    <div class="history">
+      ${history.map(h => {
+        const wk = escapeHtml(h.week);
+        const rk = escapeHtml(`#${h.rank}`);
+        return `
+          <div class="historyRow hasPoints">
+            <div><a href="${weekUrl(h.week)}">${wk}</a></div>
+            <div><b>Rank</b> ${rk}</div>
+            <div class="histNum"><b>${escapeHtml(fmtPoints(h.points))}</b> pts</div>
+            <div class="histNum"><b>${escapeHtml(fmtCount(h.listeners))}</b> listeners</div>
+          </div>
+        `;
+      }).join("")}
+    </div>
+  `;
+}
 
-  // Biggest jump / fall consider only normal up/down moves (not new/re)
-  let bestJump = null; // {key, delta}
-  let bestFall = null; // {key, delta}
-  let hotShotDebut = null; // {key, rank}
-  let hotShotReentry = null; // {key, rank}
-  let longestSitter = null; // {key, weeks}
-
-  for (const e of entries) {
-    const key = e._key;
-    const rank = e.rank;
-
-    // longest sitter
-    if (typeof e.weeks === "number") {
-      if (!longestSitter || e.weeks > longestSitter.weeks || (e.weeks === longestSitter.weeks && rank < longestSitter.rank)) {
-        longestSitter = { key, weeks: e.weeks, rank };
-      }
-    }
+// Period rows (?period=) swap LW / gain for their own totals
+function buildPeriodStatsHtml(entry) {
+  return `
+    <div class="expandStats">
+      <span>Weeks <b>${escapeHtml(fmtRankOrDash(entry.weeks))}</b></span>
+      <span>Peak <b>${escapeHtml(fmtRankOrDash(entry.peak))}</b></span>
+      <span>Weeks at #1 <b>${escapeHtml(entry.weeksAtNo1)}</b></span>
+      <span>Top 10 weeks <b>${escapeHtml(entry.top10Weeks)}</b></span>
+    </div>
 
-    // debut / reentry
-    if (e.movement?.type === "new") {
-      if (!hotShotDebut || rank < hotShotDebut.rank) hotShotDebut = { key, rank };
-    }
-    if (e.movement?.type === "re") {
-      if (!hotShotReentry || rank < hotShotReentry.rank) hotShotReentry = { key, rank };
-    }
+    <div class="expandStats">
+      <span>Score <b>${escapeHtml(fmtPoints(entry.score))}</b></span>
+      <span>Points <b>${escapeHtml(fmtPoints(entry.points))}</b></span>
+      <span>Debut <b>#${escapeHtml(entry.debutRank)}</b></span>
+    </div>
+  `;
+}
 
-    // jump / fall
-    if (e.movement?.type === "up" && typeof e.movement.value === "number") {
-      const d = Math.abs(e.movement.value);
-      if (!bestJump || d > bestJump.delta || (d === bestJump.delta && rank < bestJump.rank)) {
-        bestJump = { key, delta: d, rank };
-      }
-    }
-    if (e.movement?.type === "down" && typeof e.movement.value === "number") {
-      const d = Math.abs(e.movement.value);
-      if (!bestFall || d > bestFall.delta || (d === bestFall.delta && rank < bestFall.rank)) {
-        bestFall = { key, delta: d, rank };
-      }
-    }
-  }
+function buildExpandHtml(entry, weeksAsc) {
+  const title = escapeHtml(entry.title);
+  const week = entry.period ? (entry.history[0]?.week || "") : (weeksAsc[weeksAsc.length - 1] || "");
 
-  if (bestJump) add(bestJump.key, { text: `Biggest Jump (+${bestJump.delta})`, color: "#7cffb2" });
-  if (bestFall) add(bestFall.key, { text: `Biggest Fall (-${bestFall.delta})`, color: "#ff7c7c" });
-  if (hotShotDebut) add(hotShotDebut.key, { text: "Hot Shot Debut", color: "#7cc7ff" });
-  if (hotShotReentry) add(hotShotReentry.key, { text: "Hot Shot Re-Entry", color: "#b38cff" });
-  if (longestSitter) add(longestSitter.key, { text: "Longest Chart Sitter", color: "#ffd37c" });
+  const lw = escapeHtml(fmtRankOrDash(entry.lastWeek));
+  const peak = escapeHtml(fmtRankOrDash(entry.peak));
+  const weeks = escapeHtml(fmtRankOrDash(entry.weeks));
 
-  return awards;
-}
+  const debut = escapeHtml(entry.debutDate ?? "—");
+  const peakDate = escapeHtml(entry.peakDate ?? "—");
 
-// ---------- Build per-week derived stats from loaded weeks ----------
-function buildDerived(weeksAsc, weekDataByWeek, targetWeek) {
-  // Build:
-  // - historyMap: key -> [{week, rank}] (DESC for display)
-  // - statsAtWeek: key -> {weeks, peak, debutDate, peakDate}
-  // - prevWeekRanks: key -> rank (only for immediate previous week)
-  const seenStats = new Map();
-  const historyMap = new Map();
+  const points = escapeHtml(fmtPoints(entry.points));
+  const listeners = escapeHtml(fmtCount(entry.listeners));
+  const lwPoints = escapeHtml(fmtPoints(entry.lastWeekPoints));
+  const gain = escapeHtml(fmtPct(entry.pointsChange));
 
-  let prevWeekRanks = new Map();
+  return `
+    <div class="expandInner">
+      <div class="expandTop">
+        <div class="expandTitle">${title}</div>
+        <div class="expandArtist">
+          ${artistLinksHtml(entry.artist)}
+        </div>
 
-  for (const w of weeksAsc) {
-    const data = weekDataByWeek.get(w);
-    const entries = Array.isArray(data?.entries) ? data.entries : [];
+        ${entry.period ? buildPeriodStatsHtml(entry) : `
+          <div class="expandStats">
+            <span>LW <b>${lw}</b></span>
+            <span>Peak <b>${peak}</b></span>
+            <span>Weeks <b>${weeks}</b></span>
+          </div>
 
-    const thisWeekRanks = new Map();
+          <div class="expandStats">
+            <span>Points <b>${points}</b></span>
+            <span>LW Points <b>${lwPoints}</b></span>
+            <span>Gain <b class="gain ${pctClass(entry.pointsChange)}">${gain}</b></span>
+            <span>Listeners <b>${listeners}</b></span>
+          </div>
+        `}
 
-    for (const raw of entries) {
-      const title = cleanTitle(raw.title);
-      const artist = cleanArtistName(raw.artist);
-      if (!title || !artist) continue;
+        <div class="expandLinks">
+          <a href="${songUrl(entry._key)}">Open song page</a>
+          <a href="${artistUrl(entry.artist)}">Open artist page</a>
+          <a href="${weekUrl(week)}">${entry.period ? "Open last week charted" : "Open this week"}</a>
+        </div>
 
-      const key = songKey(title, artist);
-      const rank = Number(raw.rank);
+        <div class="expandMeta">
+          <span>Debut <b>${debut}</b></span>
+          <span>Peak Date <b>${peakDate}</b></span>
+        </div>
 
-      if (!Number.isFinite(rank)) continue;
+        <div class="expandLastfm"></div>
+      </div>
 
-      thisWeekRanks.set(key, rank);
+      <div class="divider"></div>
 
-      // history
-      if (!historyMap.has(key)) historyMap.set(key, []);
-      historyMap.get(key).push({ week: w, rank });
+      <div class="expandAwards"><div class="mutedSmall">Loading award history…</div></div>
 
-      // stats
-      if (!seenStats.has(key)) {
-        seenStats.set(key, {
-          weeks: 0,
-          peak: rank,
-          debutDate: w,
-          peakDate: w
-        });
-      }
-      const st = seenStats.get(key);
-      st.weeks += 1;
+      <div class="divider"></div>
 
-      if (rank < st.peak) {
-        st.peak = rank;
-        st.peakDate = w;
-      }
-    }
+      ${buildHistoryHtml(entry.history, weeksAsc, entry.title)}
+    </div>
+  `;
+}
 
-    if (w === targetWeek) {
-      // Stop once we finish target week stats
-      prevWeekRanks = prevWeekRanks; // keep from previous iteration
-      break;
-    }
+// ---------- main render ----------
+// view: { weeksAsc, weeksDesc } of the chart the row belongs to
+function toggleRow(row, view) {
+  const expand = row.querySelector(".expand");
+  if (!expand) return;
+
+  const isOpen = row.classList.contains("open");
 
-    prevWeekRanks = thisWeekRanks;
+  // close
+  if (isOpen) {
+    row.classList.remove("open");
+    expand.innerHTML = "";
+    return;
   }
 
-  // Convert history to DESC order (latest first)
-  for (const [k, arr] of historyMap.entries()) {
-    arr.sort((a, b) => b.week.localeCompare(a.week));
+  // open
+  row.classList.add("open");
+
+  // build on demand
+  const entryJson = row.getAttribute("data-entry");
+  if (!entryJson) return;
+
+  let entry;
+  try {
+    entry = JSON.parse(entryJson);
+  } catch {
+    expand.innerHTML = `<div class="expandInner">Failed to expand.</div>`;
+    return;
   }
 
-  return { seenStats, historyMap, prevWeekRanks };
+  expand.innerHTML = buildExpandHtml(entry, view.weeksAsc);
+  attachImgFallback(expand);
+  setupChartRun(expand);
+  fillAwardHistory(expand, entry._key, view);
+  fillTrackInfo(expand, entry);
 }
 
-function deriveEntryForWeek(rawEntry, targetWeek, prevWeekRanks, seenStats, historyMap, isInPrevWeek, wasEverBefore) {
-  const title = cleanTitle(rawEntry.title);
-  const artist = cleanArtistName(rawEntry.artist);
-  const rank = Number(rawEntry.rank);
+// One full index per visit, award history per song (core.js songDetailFromIndex)
+let expandIndexPromise = null;
+const expandAwardsByKey = new Map();
 
-  const key = songKey(title, artist);
+function songAwardHistory(key, weeksDesc) {
+  if (!expandIndexPromise) {
+    expandIndexPromise = loadFullIndex((name) => loadJSON(`${DATA_DIR}/${name}`), weeksDesc)
+      .catch((e) => {
+        expandIndexPromise = null;
+        throw e;
+      });
+  }
+  if (!expandAwardsByKey.has(key)) {
+    expandAwardsByKey.set(key, expandIndexPromise
+      .then(({ index }) => songDetailFromIndex(index, key, siteArtistIdentity)?.awards || [])
+      .catch((e) => {
+        expandAwardsByKey.delete(key);
+        throw e;
+      }));
+  }
+  return expandAwardsByKey.get(key);
+}
 
-  const st = seenStats.get(key) || { weeks: null, peak: null, debutDate: null, peakDate: null };
-  const history = historyMap.get(key) || [];
+// Awards the song had won by the chart being viewed (nothing from later weeks)
+function fillAwardHistory(expand, key, view) {
+  const box = expand.querySelector(".expandAwards");
+  if (!box || !view.weeksDesc?.length) return;
+  const upTo = view.weeksAsc[view.weeksAsc.length - 1];
+
+  songAwardHistory(key, view.weeksDesc)
+    .then((all) => {
+      const awards = all.filter(a => a.week <= upTo);
+      box.innerHTML = awards.length
+        ? `<div class="awardLine">${awards.slice().reverse().map(a => `
+            <div class="awardHistoryRow">
+              <a href="${weekUrl(a.week)}">${escapeHtml(a.week)}</a>
+              <span class="awardText ${escapeHtml(a.cls)}">${escapeHtml(a.text)}</span>
+              <span class="mutedSmall">#${escapeHtml(a.rank)}</span>
+            </div>
+          `).join("")}</div>`
+        : `<div class="mutedSmall">No awards yet.</div>`;
+    })
+    .catch((e) => {
+      console.warn("Award history failed", e);
+      box.innerHTML = `<div class="mutedSmall">Award history unavailable.</div>`;
+    });
+}
 
-  const lastWeekRank = prevWeekRanks.get(key) ?? null;
+// Album, length, Last.fm / MusicBrainz links (site.js trackInfoHtml)
+function fillTrackInfo(expand, entry) {
+  const box = expand.querySelector(".expandLastfm");
+  if (!box) return;
+
+  loadSiteTrackInfo()
+    .then((songs) => {
+      box.innerHTML = trackInfoHtml(songs[entry._key], {
+        listeners: entry.period ? undefined : entry.listeners,
+        listenersLabel: "Chart listeners",
+        showAlbum: true
+      });
+    })
+    .catch((e) => {
+      console.warn("Track info failed", e);
+      box.innerHTML = "";
+    });
+}
 
-  // Determine movement type in a Billboard-ish way:
-  // - NEW: never charted before this week
-  // - RE: charted before, but NOT last week
-  // - up/down/same: based on last week
-  let movement = { type: "same", value: 0 };
+// ---------- reconcile panel (?debug=reconcile) ----------
+function fmtReconcileValue(v) {
+  return (v === null || v === undefined || v === "") ? "—" : String(v);
+}
 
-  if (!wasEverBefore) {
-    movement = { type: "new", value: null };
-  } else if (!isInPrevWeek) {
-    // re-entry
-    movement = { type: "re", value: null };
-  } else {
-    const delta = lastWeekRank - rank;
-    if (delta > 0) movement = { type: "up", value: delta };
-    else if (delta < 0) movement = { type: "down", value: Math.abs(delta) };
-    else movement = { type: "same", value: 0 };
-  }
+function renderReconcilePanel(list, loaded) {
+  const report = reconcileWeek(loaded.weekData, loaded.entries, loaded, loaded.weeksAsc);
 
-  // LW display rule:
-  // - if re-entry or new: LW should be null (shows —)
-  // - else use lastWeekRank
-  const lw = (movement.type === "new" || movement.type === "re") ? null : lastWeekRank;
+  const panel = document.createElement("section");
+  panel.className = "reconcilePanel";
+  panel.setAttribute("aria-label", "Reconcile stored vs derived stats");
 
-  // Cover: prefer explicit cover, but repair blanks/placeholder-ish values
-  let cover = safeText(rawEntry.cover, "");
-  if (!cover || cover.includes("placeholder")) {
-    // force to placeholder; fallback handler will fix if underscore is blocked
-    cover = PLACEHOLDER_PRIMARY;
-  }
+  const emptyNote = report.emptyWeeks.length
+    ? ` • empty weeks: ${report.emptyWeeks.map(escapeHtml).join(", ")}`
+    : "";
 
-  return {
-    rank,
-    title,
-    artist,
-    cover,
-    movement,
-    lastWeek: lw,
-    peak: st.peak,
-    weeks: st.weeks,
-    debutDate: st.debutDate,
-    peakDate: st.peakDate,
-    history,
-    _key: key
-  };
-}
+  const rows = report.diffs.map((d) => {
+    const fields = d.fields.map(f => `
+      <div class="recField">
+        <span class="recName">${escapeHtml(f)}</span>
+        <span class="recStored">${escapeHtml(fmtReconcileValue(d.stored[f]))}</span>
+        <span class="recArrow">→</span>
+        <span class="recDerived">${escapeHtml(fmtReconcileValue(d.derived[f]))}</span>
+      </div>
+    `).join("");
 
-function buildHistoryHtml(history) {
-  if (!history.length) return `<div class="muted">No history available.</div>`;
+    return `
+      <tr>
+        <td class="recRank">#${escapeHtml(d.rank)}</td>
+        <td>
+          <div class="recTitle">${escapeHtml(d.title)}</div>
+          <div class="recArtist"><a href="${artistUrl(d.artist)}">${escapeHtml(d.artist)}</a></div>
+        </td>
+        <td>${fields}</td>
+        <td><ul class="recReasons">${d.reasons.map(r => `<li>${escapeHtml(r)}</li>`).join("")}</ul></td>
+      </tr>
+    `;
+  }).join("");
 
-  return `
-    <div class="history">
-      ${history.map(h => {
-        const wk = escapeHtml(h.week);
-        const rk = escapeHtml(`#${h.rank}`);
-        return `
-          <div class="historyRow">
-            <div>${wk}</div>
-            <div><b>Rank</b> ${rk}</div>
-          </div>
-        `;
-      }).join("")}
+  panel.innerHTML = `
+    <div class="recHead">
+      <b>Reconcile • ${escapeHtml(report.week)}</b>
+      <span>${report.diffs.length} of ${loaded.entries.length} entries differ (stored → derived, ${escapeHtml(loaded.source)})${emptyNote}</span>
     </div>
+    ${report.diffs.length ? `
+      <div class="recScroll">
+        <table class="recTable">
+          <thead><tr><th>Rank</th><th>Song</th><th>Stored → derived</th><th>Likely cause</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    ` : `<div class="recOk">Stored stats match the derived stats for every entry.</div>`}
   `;
+
+  list.parentNode.insertBefore(panel, list);
 }
 
-function buildExpandHtml(entry) {
-  const title = escapeHtml(entry.title);
-  const artist = escapeHtml(entry.artist);
+// ---------- chart rows ----------
+// One <li> per entry; weekly and period (?period=) entries share the layout
+function chartRowHtml(e, awards, milestones = []) {
+  const mv = movementBadge(e.movement);
 
-  const lw = escapeHtml(fmtRankOrDash(entry.lastWeek));
-  const peak = escapeHtml(fmtRankOrDash(entry.peak));
-  const weeks = escapeHtml(fmtRankOrDash(entry.weeks));
+  const cover = escapeHtml(e.cover || PLACEHOLDER_PRIMARY);
+  const ariaId = `exp-${e.rank}`;
 
-  const debut = escapeHtml(entry.debutDate ?? "—");
-  const peakDate = escapeHtml(entry.peakDate ?? "—");
+  const awardsHtml = awards.length
+    ? `<div class="awardLine">${awards.map(a => `<div class="awardText ${a.cls}">${escapeHtml(a.text)}</div>`).join("")}</div>`
+    : "";
+  const milestonesHtml = milestones.length
+    ? `<div class="milestoneLine">${milestones.map(m => `<span class="milestone ${m.cls}">${escapeHtml(m.text)}</span>`).join("")}</div>`
+    : "";
+
+  // Store full entry JSON on the row for expand/collapse
+  const entryPayload = escapeHtml(JSON.stringify(e));
 
   return `
-    <div class="expandInner">
-      <div class="expandTop">
-        <div class="expandTitle">${title}</div>
-        <div class="expandArtist">
-          <a href="${artistUrl(entry.artist)}">${artist}</a>
+    <li class="row" data-key="${escapeHtml(e._key)}" data-entry="${entryPayload}">
+      <div class="rowTop" tabindex="0" aria-controls="${ariaId}" aria-expanded="false">
+        <div class="rankbox">
+          <div class="rank">${escapeHtml(e.rank)}</div>
+          <div class="move ${mv.cls}">${escapeHtml(mv.text)}</div>
         </div>
 
-        <div class="expandStats">
-          <span>LW <b>${lw}</b></span>
-          <span>Peak <b>${peak}</b></span>
-          <span>Weeks <b>${weeks}</b></span>
+        <div class="songRow">
+          <img class="cover" src="${cover}" alt="" loading="lazy" />
+          <div class="song">
+            <div class="titleline">
+              <a href="${songUrl(e._key)}" onclick="event.stopPropagation()">${escapeHtml(e.title)}</a>
+            </div>
+            <div class="artist">
+              ${artistLinksHtml(e.artist, ` onclick="event.stopPropagation()"`)}
+            </div>
+            ${e.duplicateOf ? `<div class="mutedSmall">Listed again: counted at #${escapeHtml(e.duplicateOf)}</div>` : ""}
+            ${awardsHtml}
+            ${milestonesHtml}
+          </div>
         </div>
 
-        <div class="expandLinks">
-          <a href="${artistUrl(entry.artist)}">Open artist page</a>
-          <a href="${weekUrl(qs("week") || "")}">Open this week</a>
+        <div class="stats3">
+          ${e.period ? `
+            <span>Peak <b>${escapeHtml(fmtRankOrDash(e.peak))}</b></span>
+            <span>Weeks <b>${escapeHtml(fmtRankOrDash(e.weeks))}</b></span>
+            <span>#1s <b>${escapeHtml(e.weeksAtNo1)}</b></span>
+            <span>Top 10 <b>${escapeHtml(e.top10Weeks)}</b></span>
+            <span class="statsSub">
+              <span><b>${escapeHtml(fmtPoints(e.score))}</b> score</span>
+            </span>
+          ` : `
+            <span>LW <b>${escapeHtml(fmtRankOrDash(e.lastWeek))}</b></span>
+            <span>Peak <b>${escapeHtml(fmtRankOrDash(e.peak))}</b></span>
+            <span>Weeks <b>${escapeHtml(fmtRankOrDash(e.weeks))}</b></span>
+            <span class="statsSub">
+              <span><b>${escapeHtml(fmtPoints(e.points))}</b> pts</span>
+              <span class="gain ${pctClass(e.pointsChange)}">${escapeHtml(fmtPct(e.pointsChange))}</span>
+              <span><b>${escapeHtml(fmtCount(e.listeners))}</b> listeners</span>
+            </span>
+          `}
         </div>
+      </div>
 
-        <div class="expandMeta">
-          <span>Debut <b>${debut}</b></span>
-          <span>Peak Date <b>${peakDate}</b></span>
-        </div>
+      <div class="expand" id="${ariaId}"></div>
+    </li>
+  `;
+}
+
+// view: { awards, milestones, weeksAsc, weeksDesc }
+// Repeated rows (duplicateOf) don't repeat the song's awards / milestones
+function renderChartRows(list, entries, view) {
+  const milestones = view.milestones || new Map();
+  list.innerHTML = entries
+    .map(e => (e.duplicateOf
+      ? chartRowHtml(e, [])
+      : chartRowHtml(e, view.awards.get(e._key) || [], milestones.get(e._key) || [])))
+    .join("");
+  attachImgFallback(list);
+
+  // Click-to-expand / collapse
+  list.querySelectorAll(".row").forEach((row) => {
+    const top = row.querySelector(".rowTop");
+    if (!top) return;
+
+    top.addEventListener("click", () => toggleRow(row, view));
+    top.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" || e.key === " ") {
+        e.preventDefault();
+        toggleRow(row, view);
+      }
+    });
+  });
+}
+
+// ---------- period recap (?period=) ----------
+function periodOptionsHtml(weeksDesc) {
+  const p = listPeriods(weeksDesc);
+  const opt = (v) => `<option value="${escapeHtml(v)}">${escapeHtml(periodLabel(v))}</option>`;
+  return [
+    `<option value="">Weekly chart</option>`,
+    `<optgroup label="Year-end">${opt(PERIOD_ALL)}${p.years.map(opt).join("")}</optgroup>`,
+    `<optgroup label="Quarter">${p.quarters.map(opt).join("")}</optgroup>`,
+    `<optgroup label="Month">${p.months.map(opt).join("")}</optgroup>`
+  ].join("");
+}
+
+function renderPeriodRecap(list, agg) {
+  const panel = document.createElement("section");
+  panel.className = "comparePanel";
+  panel.setAttribute("aria-label", `${agg.label}: top artists and #1s`);
+
+  const artists = agg.artists.slice(0, 10).map(a => `
+    <li class="cmpRow noCover">
+      <div class="cmpRank">${escapeHtml(a.rank)}</div>
+      <div class="cmpSong">
+        <div class="cmpTitle"><a href="${artistUrl(a.artist)}">${escapeHtml(a.artist)}</a></div>
+        <div class="cmpArtist">${escapeHtml(fmtPoints(a.score))} score • ${a.songs} song(s) • ${a.top10Weeks} top 10 week(s)${a.weeksAtNo1 ? ` • ${a.weeksAtNo1} week(s) at #1` : ""}</div>
       </div>
+    </li>
+  `).join("");
 
-      <div class="divider"></div>
+  const numberOnes = agg.numberOnes.map((n, i) => {
+    const when = n.weeks > 1
+      ? `<a href="${weekUrl(n.firstWeek)}">${escapeHtml(n.firstWeek)}</a> – <a href="${weekUrl(n.lastWeek)}">${escapeHtml(n.lastWeek)}</a>`
+      : `<a href="${weekUrl(n.firstWeek)}">${escapeHtml(n.firstWeek)}</a>`;
+    return `
+      <li class="cmpRow">
+        <div class="cmpRank">${i + 1}</div>
+        <div class="move">${n.weeks} wk</div>
+        <img class="cover" src="${escapeHtml(n.cover || PLACEHOLDER_PRIMARY)}" alt="" loading="lazy" />
+        <div class="cmpSong">
+          <div class="cmpTitle"><a href="${songUrl(n.key)}">${escapeHtml(n.title)}</a></div>
+          <div class="cmpArtist"><a href="${artistUrl(n.artist)}">${escapeHtml(n.artist)}</a> • ${when}</div>
+        </div>
+      </li>
+    `;
+  }).join("");
 
-      ${buildHistoryHtml(entry.history)}
+  panel.innerHTML = `
+    <div class="recHead">
+      <b>${escapeHtml(agg.label)}</b>
+      <span>${agg.weeksAsc.length} week(s) • ${agg.entries.length} song(s) • ${agg.artists.length} artist(s) charted</span>
+    </div>
+
+    <div class="cmpGrid">
+      <div class="cmpCol">
+        <h2>Top artists</h2>
+        <ol class="cmpList">${artists}</ol>
+      </div>
+      <div class="cmpCol">
+        <h2>#1s in order (${agg.numberOnes.length})</h2>
+        ${numberOnes ? `<ol class="cmpList">${numberOnes}</ol>` : `<div class="mutedSmall">No #1s in this period.</div>`}
+      </div>
     </div>
   `;
+
+  attachImgFallback(panel);
+  list.parentNode.insertBefore(panel, list);
 }
 
-// ---------- Artist search ----------
-function setupArtistSearch(allWeekEntries) {
-  const input = document.getElementById("artistSearch");
-  const results = document.getElementById("searchResults");
-  if (!input || !results) return;
+// ---------- milestones ----------
+function renderMilestonesPanel(list, entries, milestonesMap) {
+  const hits = entries.filter(e => !e.duplicateOf && milestonesMap.has(e._key));
+  if (!hits.length) return;
+
+  const panel = document.createElement("section");
+  panel.className = "comparePanel milestonesPanel";
+  panel.setAttribute("aria-label", "This week's milestones");
+
+  const count = hits.reduce((acc, e) => acc + milestonesMap.get(e._key).length, 0);
+  const rows = hits.map(e => `
+    <li class="cmpRow noBadge">
+      <div class="cmpRank">${escapeHtml(e.rank)}</div>
+      <img class="cover" src="${escapeHtml(e.cover || PLACEHOLDER_PRIMARY)}" alt="" loading="lazy" />
+      <div class="cmpSong">
+        <div class="cmpTitle"><a href="${songUrl(e._key)}">${escapeHtml(e.title)}</a></div>
+        <div class="cmpArtist"><a href="${artistUrl(e.artist)}">${escapeHtml(e.artist)}</a></div>
+      </div>
+      <div class="milestoneLine">
+        ${milestonesMap.get(e._key).map(m => `<span class="milestone ${m.cls}">${escapeHtml(m.text)}</span>`).join("")}
+      </div>
+    </li>
+  `).join("");
 
-  // Build artist index:
-  // name -> { songs:Set, entries:number, bestPeak:number }
-  const idx = new Map();
+  panel.innerHTML = `
+    <div class="recHead">
+      <b>This week's milestones</b>
+      <span>${count} milestone(s) for ${hits.length} song(s)</span>
+    </div>
+    <div class="recScroll cmpCol">
+      <ol class="cmpList">${rows}</ol>
+    </div>
+  `;
 
-  for (const e of allWeekEntries) {
-    const a = cleanArtistName(e.artist);
-    const t = cleanTitle(e.title);
-    if (!a || !t) continue;
+  attachImgFallback(panel);
+  list.parentNode.insertBefore(panel, list);
+}
 
-    if (!idx.has(a)) idx.set(a, { songs: new Set(), entries: 0, bestPeak: Infinity });
-    const obj = idx.get(a);
-    obj.songs.add(`${a} — ${t}`.toLowerCase());
-    obj.entries += 1;
-    if (Number.isFinite(e.rank)) obj.bestPeak = Math.min(obj.bestPeak, e.rank);
+// ---------- filter / sort controls ----------
+// Re-renders in place; the URL is replaced (not pushed) so Back leaves the week
+// tagsOf: site.js loadSiteTagLookup result, or null (no tag filter)
+function setupChartControls(list, entries, view, tagsOf) {
+  const box = document.getElementById("chartControls");
+  const showFilter = document.getElementById("showFilter");
+  const artistFilter = document.getElementById("artistFilter");
+  const tagFilter = document.getElementById("tagFilter");
+  const sortSelect = document.getElementById("sortSelect");
+  const viewCount = document.getElementById("viewCount");
+  if (!box || !showFilter || !artistFilter || !tagFilter || !sortSelect) {
+    renderChartRows(list, entries, view);
+    return;
   }
 
-  const allArtists = [...idx.entries()].map(([name, o]) => ({
-    name,
-    songCount: o.songs.size,
-    entryCount: o.entries,
-    bestPeak: (o.bestPeak === Infinity ? null : o.bestPeak)
-  }));
+  // One option per credited artist (canonical name), not per credit string
+  const artists = [...groupByArtistCredits(entries, siteArtistIdentity).entries()]
+    .map(([id, g]) => ({ id, name: g.name }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  const tags = tagsOf ? tagBreakdown(entries, tagsOf) : [];
+
+  showFilter.innerHTML = [`<option value="">All songs</option>`]
+    .concat(Object.entries(CHART_FILTERS).map(([id, f]) => `<option value="${id}">${escapeHtml(f.label)}</option>`))
+    .join("");
+  artistFilter.innerHTML = [`<option value="">All artists</option>`]
+    .concat(artists.map(a => `<option value="${escapeHtml(a.name)}">${escapeHtml(a.name)}</option>`))
+    .join("");
+  tagFilter.innerHTML = [`<option value="">All tags</option>`]
+    .concat(tags.map(t => `<option value="${escapeHtml(t.tag)}">${escapeHtml(t.tag)} (${escapeHtml(t.count)})</option>`))
+    .join("");
+  tagFilter.classList.toggle("hidden", !tags.length);
+  sortSelect.innerHTML = Object.entries(CHART_SORTS)
+    .map(([id, s]) => `<option value="${id}">Sort: ${escapeHtml(s.label)}</option>`)
+    .join("");
+
+  const pick = (select, value, fallback) => {
+    select.value = [...select.options].some(o => o.value === value) ? value : fallback;
+  };
+  pick(showFilter, qs("show") || "", "");
+  // ?artist= may be an alias or another spelling of the listed name
+  const wantedArtist = qs("artist") ? artistId(canonicalArtist(siteArtistIdentity, qs("artist"))) : "";
+  pick(artistFilter, artists.find(a => a.id === wantedArtist)?.name || "", "");
+  pick(tagFilter, qs("tag") ? tagName(qs("tag")) : "", "");
+  pick(sortSelect, qs("sort") || "rank", "rank");
+
+  function apply() {
+    const current = { show: showFilter.value, artist: artistFilter.value, tag: tagFilter.value, sort: sortSelect.value };
+    const shown = applyChartView(entries, current, tagsOf, siteArtistIdentity);
+
+    if (shown.length) {
+      renderChartRows(list, shown, view);
+    } else {
+      list.innerHTML = `<li class="row"><div class="rowTop">No songs match this view.</div></li>`;
+    }
 
-  function hide() {
-    results.classList.add("hidden");
-    results.innerHTML = "";
+    const filtered = current.show || current.artist || current.tag;
+    viewCount.textContent = filtered ? `${shown.length} / ${entries.length} shown` : "";
   }
 
-  function show(items) {
-    results.innerHTML = items.map(it => {
-      const peakTxt = it.bestPeak ? ` • Best peak: #${it.bestPeak}` : "";
-      return `
-        <div class="searchItem" tabindex="0" data-artist="${escapeHtml(it.name)}">
-          <div class="name">${escapeHtml(it.name)}</div>
-          <div class="meta">${it.songCount} song(s) • ${it.entryCount} chart entry(s)${escapeHtml(peakTxt)}</div>
-        </div>
-      `;
-    }).join("");
-    results.classList.remove("hidden");
-
-    // click
-    results.querySelectorAll(".searchItem").forEach((node) => {
-      node.addEventListener("click", () => {
-        const a = node.getAttribute("data-artist") || "";
-        location.href = artistUrl(a);
-      });
-      node.addEventListener("keydown", (e) => {
-        if (e.key === "Enter") node.click();
-      });
-    });
+  function onChange() {
+    const u = new URL(location.href);
+    for (const [name, value, dflt] of [["show", showFilter.value, ""], ["artist", artistFilter.value, ""], ["tag", tagFilter.value, ""], ["sort", sortSelect.value, "rank"]]) {
+      if (value && value !== dflt) u.searchParams.set(name, value);
+      else u.searchParams.delete(name);
+    }
+    history.replaceState(history.state, "", u.toString());
+    apply();
   }
 
-  function filter(q) {
-    const s = q.trim().toLowerCase();
-    if (!s) return [];
+  for (const el of [showFilter, artistFilter, tagFilter, sortSelect]) el.addEventListener("change", onChange);
 
-    // prioritize "starts with"
-    const starts = [];
-    const contains = [];
+  box.classList.remove("hidden");
+  apply();
+}
 
-    for (const it of allArtists) {
-      const name = it.name.toLowerCase();
-      if (name.startsWith(s)) starts.push(it);
-      else if (name.includes(s)) contains.push(it);
+// ---------- export menu (core.js exportWeek) ----------
+// Always the whole derived week, whatever the filters show. CSV / JSON /
+// Markdown download as a file; Discord text opens one box per message;
+// "Share image" draws the top 10 (sharecard.js) and saves a PNG; "Share
+// link" shows the week's share/<week>.html link, which unfurls with that
+// image (scripts/build-share.js).
+function setupExportMenu(entries, view) {
+  const select = document.getElementById("exportSelect");
+  const panel = document.getElementById("exportPanel");
+  if (!select || !panel) return;
+
+  const week = view.weeksAsc[view.weeksAsc.length - 1];
+  select.innerHTML = [`<option value="">Export…</option>`]
+    .concat(Object.entries(EXPORT_FORMATS).map(([id, f]) => `<option value="${id}">${escapeHtml(f.label)}</option>`))
+    .concat(`<option value="image">Share image (PNG)</option>`)
+    .concat(`<option value="link">Share link</option>`)
+    .join("");
+
+  select.addEventListener("change", () => {
+    const format = select.value;
+    select.value = "";
+    if (!format) return;
+
+    if (format === "image") {
+      const rows = shareWeekRows(entries, view.awards);
+      downloadShareImage((canvas) => renderWeekCard(canvas, week, rows, loadShareImage), `nabnation-top-100-${week}.png`)
+        .catch((e) => console.warn("Share image failed", e));
+      return;
     }
 
-    // sort a bit so results look consistent
-    starts.sort((a,b) => (a.bestPeak ?? 9999) - (b.bestPeak ?? 9999));
-    contains.sort((a,b) => (a.bestPeak ?? 9999) - (b.bestPeak ?? 9999));
+    if (format === "link") {
+      renderShareLinkPanel(panel, week);
+      return;
+    }
 
-    return [...starts, ...contains].slice(0, 12);
-  }
+    const parts = exportWeek(format, week, exportWeekRows(entries, view.awards));
+    if (format === "discord") {
+      renderDiscordPanel(panel, week, parts);
+      return;
+    }
 
-  input.addEventListener("input", () => {
-    const items = filter(input.value);
-    if (!items.length) hide();
-    else show(items);
+    const f = EXPORT_FORMATS[format];
+    downloadBlob(new Blob([parts[0]], { type: `${f.type};charset=utf-8` }), `nabnation-top-100-${week}.${f.ext}`);
   });
+}
 
-  input.addEventListener("focus", () => {
-    const items = filter(input.value);
-    if (items.length) show(items);
-  });
+function renderDiscordPanel(panel, week, messages) {
+  panel.innerHTML = `
+    <div class="exportHead">
+      <b>Discord text — week of ${escapeHtml(week)}</b>
+      <span class="mutedSmall">${escapeHtml(messages.length)} message(s), each under ${escapeHtml(DISCORD_MESSAGE_LIMIT)} characters</span>
+      <button class="exportBtn" type="button" data-export-close>Close</button>
+    </div>
+    ${messages.map((text, i) => `
+      <div class="exportMsg">
+        <div class="exportMsgHead">
+          <span class="mutedSmall">Message ${i + 1} / ${messages.length} · ${escapeHtml(text.length)} chars</span>
+          <button class="exportBtn" type="button" data-export-copy="${i}">Copy</button>
+        </div>
+        <textarea class="exportText" readonly rows="6">${escapeHtml(text)}</textarea>
+      </div>
+    `).join("")}
+  `;
+  bindExportPanel(panel, messages);
+}
+
+// Same layout as the Discord panel, one box holding the absolute link
+function renderShareLinkPanel(panel, week) {
+  const link = weekShareUrl(week);
+  panel.innerHTML = `
+    <div class="exportHead">
+      <b>Share link — week of ${escapeHtml(week)}</b>
+      <span class="mutedSmall">Unfurls with this week's top 10 image, then opens the chart</span>
+      <button class="exportBtn" type="button" data-export-close>Close</button>
+    </div>
+    <div class="exportMsg">
+      <div class="exportMsgHead">
+        <span class="mutedSmall">Link</span>
+        <button class="exportBtn" type="button" data-export-copy="0">Copy</button>
+      </div>
+      <textarea class="exportText" readonly rows="1">${escapeHtml(link)}</textarea>
+    </div>
+  `;
+  bindExportPanel(panel, [link]);
+}
 
-  // close dropdown if clicking elsewhere
-  document.addEventListener("click", (e) => {
-    if (!results.contains(e.target) && e.target !== input) hide();
+// Close button + a Copy button per text box (falls back to selecting it)
+function bindExportPanel(panel, texts) {
+  panel.classList.remove("hidden");
+
+  panel.querySelector("[data-export-close]").addEventListener("click", () => {
+    panel.classList.add("hidden");
+    panel.innerHTML = "";
+  });
+  panel.querySelectorAll("[data-export-copy]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const text = texts[Number(btn.getAttribute("data-export-copy"))];
+      const done = () => { btn.textContent = "Copied"; };
+      if (navigator.clipboard?.writeText) {
+        navigator.clipboard.writeText(text).then(done).catch(() => {
+          btn.closest(".exportMsg").querySelector("textarea").select();
+        });
+      } else {
+        btn.closest(".exportMsg").querySelector("textarea").select();
+      }
+    });
   });
+}
 
-  input.addEventListener("keydown", (e) => {
-    if (e.key === "Escape") hide();
+// Back/forward: reopen the rows that were expanded
+function reopenRows(list, keys, view) {
+  const reopen = new Set(keys || []);
+  if (!reopen.size) return;
+  list.querySelectorAll(".row").forEach((row) => {
+    if (reopen.has(row.getAttribute("data-key"))) toggleRow(row, view);
   });
 }
 
-// ---------- main render ----------
-function toggleRow(row) {
-  const expand = row.querySelector(".expand");
-  if (!expand) return;
+// ---------- week comparison (?compare=) ----------
+// Badge for "compare week -> this week"; side "then" shows where the song went
+function compareBadge(r, side) {
+  if (r.otherRank === null) return side === "now" ? { text: "IN", cls: "new" } : { text: "OUT", cls: "down" };
+  if (r.delta > 0) return { text: `▲ ${r.delta}`, cls: "up" };
+  if (r.delta < 0) return { text: `▼ ${Math.abs(r.delta)}`, cls: "down" };
+  return { text: "—", cls: "same" };
+}
 
-  const isOpen = row.classList.contains("open");
+function compareRowHtml(r, side) {
+  const mv = compareBadge(r, side);
+  const cover = escapeHtml(r.cover || PLACEHOLDER_PRIMARY);
+  const where = r.otherRank === null ? "" : ` title="${side === "now" ? "Was" : "Now"} #${escapeHtml(r.otherRank)}"`;
 
-  // close
-  if (isOpen) {
-    row.classList.remove("open");
-    expand.innerHTML = "";
-    return;
-  }
+  return `
+    <li class="cmpRow">
+      <div class="cmpRank">${escapeHtml(r.rank)}</div>
+      <div class="move ${mv.cls}"${where}>${escapeHtml(mv.text)}</div>
+      <img class="cover" src="${cover}" alt="" loading="lazy" />
+      <div class="cmpSong">
+        <div class="cmpTitle"><a href="${songUrl(r.key)}">${escapeHtml(r.title)}</a></div>
+        <div class="cmpArtist"><a href="${artistUrl(r.artist)}">${escapeHtml(r.artist)}</a></div>
+      </div>
+    </li>
+  `;
+}
 
-  // open
-  row.classList.add("open");
+function fmtShare(v) {
+  return `${(Math.round(v * 10) / 10).toLocaleString("en-US", { maximumFractionDigits: 1 })}%`;
+}
 
-  // build on demand
-  const entryJson = row.getAttribute("data-entry");
-  if (!entryJson) return;
+function renderComparePanel(list, cmp) {
+  const panel = document.createElement("section");
+  panel.className = "comparePanel";
+  panel.setAttribute("aria-label", `Week of ${cmp.week} compared with ${cmp.compareWeek}`);
+
+  const col = (title, rows, side, empty) => `
+    <div class="cmpCol">
+      <h2>${title}</h2>
+      ${rows.length
+        ? `<ol class="cmpList">${rows.map(r => compareRowHtml(r, side)).join("")}</ol>`
+        : `<div class="mutedSmall">${empty}</div>`}
+    </div>
+  `;
 
-  let entry;
-  try {
-    entry = JSON.parse(entryJson);
-  } catch {
-    expand.innerHTML = `<div class="expandInner">Failed to expand.</div>`;
-    return;
-  }
+  const artistRows = cmp.artists
+    .filter(a => Math.abs(a.shareChange) >= 0.05)
+    .slice(0, 25)
+    .map(a => `
+      <tr>
+        <td><a href="${artistUrl(a.artist)}">${escapeHtml(a.artist)}</a></td>
+        <td class="histNum">${escapeHtml(fmtShare(a.otherShare))} <span class="mutedSmall">(${a.otherEntries})</span></td>
+        <td class="histNum">${escapeHtml(fmtShare(a.share))} <span class="mutedSmall">(${a.entries})</span></td>
+        <td class="histNum gain ${a.shareChange > 0 ? "up" : "down"}">${a.shareChange > 0 ? "+" : ""}${escapeHtml(fmtShare(a.shareChange))}</td>
+      </tr>
+    `).join("");
+
+  const weekLink = (w) => `<a href="${weekUrl(w)}">${escapeHtml(w)}</a>`;
+
+  panel.innerHTML = `
+    <div class="recHead">
+      <b>Week of ${weekLink(cmp.week)} vs ${weekLink(cmp.compareWeek)}</b>
+      <span>${cmp.entered.length} entered • ${cmp.left.length} left • ${cmp.stayed} on both charts</span>
+    </div>
 
-  expand.innerHTML = buildExpandHtml(entry);
-  attachImgFallback(expand);
+    <div class="cmpGrid">
+      ${col(`Week of ${escapeHtml(cmp.week)}`, cmp.rows, "now", "No entries.")}
+      ${col(`Week of ${escapeHtml(cmp.compareWeek)}`, cmp.otherRows, "then", "No entries.")}
+    </div>
+
+    <div class="cmpGrid">
+      ${col(`Entered (${cmp.entered.length})`, cmp.entered, "now", "Nothing new since then.")}
+      ${col(`Left (${cmp.left.length})`, cmp.left, "then", "Every song is still charting.")}
+    </div>
+
+    <div class="cmpCol">
+      <h2>Artist share of points</h2>
+      ${artistRows ? `
+        <div class="recScroll">
+          <table class="recTable">
+            <thead><tr><th>Artist</th><th>${escapeHtml(cmp.compareWeek)}</th><th>${escapeHtml(cmp.week)}</th><th>Change</th></tr></thead>
+            <tbody>${artistRows}</tbody>
+          </table>
+        </div>
+      ` : `<div class="mutedSmall">No artist share changes.</div>`}
+    </div>
+  `;
+
+  attachImgFallback(panel);
+  list.parentNode.insertBefore(panel, list);
+  list.classList.add("hidden");
+  document.querySelector(".table-head")?.classList.add("hidden");
 }
 
-async function main() {
+// ---------- mount ----------
+async function mountChartPage(ctx) {
   const list = document.getElementById("chart");
   const weekLabel = document.getElementById("weekLabel");
   const weekSelect = document.getElementById("weekSelect");
@@ -561,161 +882,115 @@ async function main() {
   weekSelect.value = targetWeek;
   weekSelect.addEventListener("change", () => setWeekParam(weekSelect.value));
 
-  weekLabel.textContent = `Week of ${targetWeek}`;
+  const requestedCompare = qs("compare");
+  const compareWeek = (requestedCompare && requestedCompare !== targetWeek && weeksDesc.includes(requestedCompare))
+    ? requestedCompare
+    : null;
+
+  const compareSelect = document.getElementById("compareSelect");
+  if (compareSelect) {
+    compareSelect.innerHTML = [`<option value="">Compare with…</option>`]
+      .concat(weeksDesc.filter(w => w !== targetWeek).map(w => `<option value="${w}">vs ${w}</option>`))
+      .join("");
+    compareSelect.value = compareWeek || "";
+    compareSelect.addEventListener("change", () => setCompareParam(compareSelect.value));
+  }
 
-  // For per-week correctness we need all weeks up to targetWeek (chronological)
-  const weeksAsc = weeksDesc.slice().reverse();
-  const targetIdxAsc = weeksAsc.indexOf(targetWeek);
-  const neededWeeksAsc = weeksAsc.slice(0, targetIdxAsc + 1);
+  const loadData = (name) => loadJSON(`${DATA_DIR}/${name}`);
 
-  // Load needed week JSON files (cache)
-  const weekDataByWeek = new Map();
-  await Promise.all(neededWeeksAsc.map(async (w) => {
-    try {
-      const data = await loadJSON(`${DATA_DIR}/${w}.json`);
-      weekDataByWeek.set(w, data);
-    } catch (e) {
-      console.warn("Missing week file:", w, e);
-      // If the selected week file is missing, try latest.json as last resort
-      if (w === targetWeek) {
-        const latest = await loadJSON(`${DATA_DIR}/latest.json`);
-        weekDataByWeek.set(w, latest);
-      } else {
-        weekDataByWeek.set(w, { week: w, entries: [] });
+  const period = qs("period");
+  const periodSelect = document.getElementById("periodSelect");
+  if (periodSelect) {
+    periodSelect.innerHTML = periodOptionsHtml(weeksDesc);
+    periodSelect.value = [...periodSelect.options].some(o => o.value === period) ? period : "";
+    periodSelect.addEventListener("change", () => setPeriodParam(periodSelect.value));
+  }
+
+  // Year-end / quarterly / monthly / all-time chart instead of a single week
+  if (period) {
+    const agg = await loadPeriodChart(loadData, weeksDesc, period, siteArtistIdentity);
+    if (ctx.signal.aborted) return;
+
+    if (agg) {
+      const first = agg.weeksAsc[0];
+      const last = agg.weeksAsc[agg.weeksAsc.length - 1];
+      weekLabel.textContent = `${agg.label} • ${first} – ${last}`;
+      weekSelect.insertAdjacentHTML("afterbegin", `<option value="" disabled>${escapeHtml(agg.label)}</option>`);
+      weekSelect.value = "";
+
+      const top = agg.entries.slice(0, CHART_SIZE);
+      renderPeriodRecap(list, agg);
+      const view = { awards: agg.awards, weeksAsc: agg.weeksAsc, weeksDesc };
+      renderChartRows(list, top, view);
+      reopenRows(list, ctx.state?.open, view);
+
+      if (footInfo) {
+        footInfo.textContent = `${agg.label}: top ${top.length} of ${agg.entries.length} songs over ${agg.weeksAsc.length} week(s) • score = points, or ${CHART_SIZE + 1} − rank without points`;
       }
+      return;
     }
-  }));
-
-  // Build derived stats/history up to targetWeek
-  const { seenStats, historyMap, prevWeekRanks } = buildDerived(neededWeeksAsc, weekDataByWeek, targetWeek);
-
-  // Determine “wasEverBefore” & “isInPrevWeek” for movement calculation
-  // We need:
-  // - songs in prev week (immediate previous week only)
-  const prevWeek = (targetIdxAsc > 0) ? weeksAsc[targetIdxAsc - 1] : null;
-  const prevWeekEntries = prevWeek ? (weekDataByWeek.get(prevWeek)?.entries || []) : [];
-  const prevWeekSet = new Set(prevWeekEntries.map(e => songKey(e.title, e.artist)));
-
-  // Also need “ever before this week”
-  // We can build it by looking at historyMap and seeing if there is any entry strictly older than targetWeek
-  function wasEverBefore(key) {
-    const hist = historyMap.get(key) || [];
-    // hist includes targetWeek itself; if there’s any week older, it was before
-    return hist.some(h => h.week < targetWeek);
+    console.warn("No weeks in period:", period);
   }
 
-  // Build the week entries (from the file, but we derive stats/movement ourselves)
-  const weekData = weekDataByWeek.get(targetWeek);
-  const rawEntries = Array.isArray(weekData?.entries) ? weekData.entries : [];
+  weekLabel.textContent = compareWeek ? `Week of ${targetWeek} vs ${compareWeek}` : `Week of ${targetWeek}`;
 
-  // Derive and normalize entries
-  const derivedEntries = [];
-  for (const raw of rawEntries) {
-    const title = cleanTitle(raw.title);
-    const artist = cleanArtistName(raw.artist);
-    const key = songKey(title, artist);
+  // Derived stats for the target week (index fast path, or full scan)
+  const loaded = await loadChartWeek(loadData, weeksDesc, targetWeek);
+  if (ctx.signal.aborted) return; // navigated away while loading
 
-    const isInPrev = prevWeekSet.has(key);
-    const everBefore = wasEverBefore(key);
+  if (compareWeek) {
+    const other = await loadChartWeek(loadData, weeksDesc, compareWeek);
+    if (ctx.signal.aborted) return;
 
-    const entry = deriveEntryForWeek(raw, targetWeek, prevWeekRanks, seenStats, historyMap, isInPrev, everBefore);
-    derivedEntries.push(entry);
+    renderComparePanel(list, compareWeeks(loaded, other, siteArtistIdentity));
+    if (footInfo) footInfo.textContent = `Comparing ${targetWeek} with ${compareWeek}`;
+    return;
   }
-
-  // Awards for this week
-  const awardsMap = computeAwardsForWeek(derivedEntries);
-
-  // Render
-  list.innerHTML = derivedEntries.map((e) => {
-    const mv = movementBadge(e.movement);
-
-    const cover = escapeHtml(e.cover || PLACEHOLDER_PRIMARY);
-    const ariaId = `exp-${e.rank}`;
-
-    const awards = awardsMap.get(e._key) || [];
-    const awardsHtml = awards.length
-      ? `<div class="awardLine">${awards.map(a => `<div style="margin-top:6px;font-weight:800;color:${a.color}">${escapeHtml(a.text)}</div>`).join("")}</div>`
-      : "";
-
-    // Store full entry JSON on the row for expand/collapse
-    const entryPayload = escapeHtml(JSON.stringify(e));
-
-    return `
-      <li class="row" data-entry="${entryPayload}">
-        <div class="rowTop" tabindex="0" aria-controls="${ariaId}" aria-expanded="false">
-          <div class="rankbox">
-            <div class="rank">${escapeHtml(e.rank)}</div>
-            <div class="move ${mv.cls}">${escapeHtml(mv.text)}</div>
-          </div>
-
-          <div class="songRow">
-            <img class="cover" src="${cover}" alt="" loading="lazy" />
-            <div class="song">
-              <div class="titleline">${escapeHtml(e.title)}</div>
-              <div class="artist">
-                <a href="${artistUrl(e.artist)}" onclick="event.stopPropagation()">${escapeHtml(e.artist)}</a>
-              </div>
-              ${awardsHtml}
-            </div>
-          </div>
-
-          <div class="stats3">
-            <span>LW <b>${escapeHtml(fmtRankOrDash(e.lastWeek))}</b></span>
-            <span>Peak <b>${escapeHtml(fmtRankOrDash(e.peak))}</b></span>
-            <span>Weeks <b>${escapeHtml(fmtRankOrDash(e.weeks))}</b></span>
-          </div>
-        </div>
-
-        <div class="expand" id="${ariaId}"></div>
-      </li>
-    `;
-  }).join("");
-
-  attachImgFallback(list);
-
-  // Click-to-expand / collapse
-  list.querySelectorAll(".row").forEach((row) => {
-    const top = row.querySelector(".rowTop");
-    if (!top) return;
-
-    top.addEventListener("click", () => toggleRow(row));
-    top.addEventListener("keydown", (e) => {
-      if (e.key === "Enter" || e.key === " ") {
-        e.preventDefault();
-        toggleRow(row);
-      }
-    });
+  const derivedEntries = loaded.entries;
+  const neededWeeksAsc = loaded.weeksAsc;
+
+  // Awards + milestones for this week
+  const awardsMap = computeAwardsForWeek(derivedEntries, awardContext(loaded, neededWeeksAsc, siteArtistIdentity));
+  const milestonesMap = computeMilestonesForWeek(derivedEntries, loaded.historyMap, loaded.songInfo, neededWeeksAsc, siteArtistIdentity);
+
+  renderMilestonesPanel(list, derivedEntries, milestonesMap);
+  const view = { awards: awardsMap, milestones: milestonesMap, weeksAsc: neededWeeksAsc, weeksDesc };
+  const tagsOf = await loadSiteTagLookup().catch((e) => {
+    console.warn("Tags unavailable", e);
+    return null;
   });
+  if (ctx.signal.aborted) return;
+  setupChartControls(list, derivedEntries, view, tagsOf);
+  setupExportMenu(derivedEntries, view);
 
-  // Build artist search index from all loaded entries up to latest available in manifest
-  // (To keep it responsive, we only use the weeks we already loaded up to selected week.)
-  const allEntriesForSearch = [];
-  for (const w of neededWeeksAsc) {
-    const data = weekDataByWeek.get(w);
-    const arr = Array.isArray(data?.entries) ? data.entries : [];
-    for (const it of arr) allEntriesForSearch.push({
-      artist: it.artist,
-      title: it.title,
-      rank: it.rank
-    });
-  }
-  setupArtistSearch(allEntriesForSearch);
+  reopenRows(list, ctx.state?.open, view);
+
+  if (qs("debug") === "reconcile") renderReconcilePanel(list, loaded);
 
   if (footInfo) {
     footInfo.textContent = `Loaded ${derivedEntries.length} entries • ${targetWeek}`;
   }
 }
 
-main().catch((err) => {
-  console.error(err);
-  const list = document.getElementById("chart");
-  if (list) {
-    list.innerHTML = `
-      <li class="row">
-        <div class="rowTop">
-          Failed to load chart data. Check console.
-        </div>
-      </li>
-    `;
-  }
+function saveChartState() {
+  return {
+    open: [...document.querySelectorAll("#chart .row.open")].map(r => r.getAttribute("data-key"))
+  };
+}
+
+registerPage("chart", {
+  mount: (ctx) => mountChartPage(ctx).catch((err) => {
+    console.error(err);
+    const list = document.getElementById("chart");
+    if (list) {
+      list.innerHTML = `
+        <li class="row">
+          <div class="rowTop">
+            Failed to load chart data. Check console.
+          </div>
+        </li>
+      `;
+    }
+  }),
+  saveState: saveChartState
 });
@@ -0,0 +1,355 @@
+/* =========================================
+   Nabnation Top 100 — chartrun.js
+   - Inline SVG chart-run graph (shared by chart.js + artist.js)
+   - Inverted rank axis (#1 on top)
+   - Gaps where a song dropped off and re-entered
+   - Peak week highlight + hover/focus tooltips
+   - Points-per-week bars on the same axis (song.html)
+   - Share-of-chart bars per week (tags.html)
+   No charting library — plain SVG strings.
+========================================= */
+
+const RUN_W = 640;
+const RUN_H = 200;
+const RUN_PAD = { top: 16, right: 18, bottom: 28, left: 38 };
+const RUN_MAX_RANK = 100;
+
+function runEsc(str) {
+  return String(str ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+// Short axis label: "2026-04-28" -> "Apr 28"
+function runShortWeek(week) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(week));
+  if (!m) return String(week);
+  const months = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+  return `${months[Number(m[2]) - 1] || m[2]} ${Number(m[3])}`;
+}
+
+// Build the x axis: every chart week from the song's debut to its last week on chart.
+// allWeeksAsc (optional) is the full list of chart weeks — without it we can't
+// see weeks the song missed, so we only plot the weeks it charted.
+function buildRunAxis(history, allWeeksAsc) {
+  const charted = history
+    .filter(h => h && h.week && Number.isFinite(Number(h.rank)))
+    .map(h => ({ week: String(h.week), rank: Number(h.rank) }))
+    .sort((a, b) => a.week.localeCompare(b.week));
+
+  if (!charted.length) return { axis: [], byWeek: new Map() };
+
+  const byWeek = new Map(charted.map(h => [h.week, h.rank]));
+  const first = charted[0].week;
+  const last = charted[charted.length - 1].week;
+
+  let axis;
+  if (Array.isArray(allWeeksAsc) && allWeeksAsc.length) {
+    axis = allWeeksAsc.filter(w => w >= first && w <= last);
+    // Any charted week missing from the list still has to be plotted
+    for (const h of charted) if (!axis.includes(h.week)) axis.push(h.week);
+    axis.sort();
+  } else {
+    axis = charted.map(h => h.week);
+  }
+
+  return { axis, byWeek };
+}
+
+// history: [{week, rank}] in any order
+// opts: { weeks: allWeeksAsc, weekHref: (week) => url, label: "song title" }
+function buildChartRunSvg(history, opts = {}) {
+  const hist = Array.isArray(history) ? history : [];
+  const { axis, byWeek } = buildRunAxis(hist, opts.weeks);
+  if (!axis.length) return "";
+
+  const weekHref = typeof opts.weekHref === "function" ? opts.weekHref : (w) => `?week=${encodeURIComponent(w)}`;
+
+  const plotW = RUN_W - RUN_PAD.left - RUN_PAD.right;
+  const plotH = RUN_H - RUN_PAD.top - RUN_PAD.bottom;
+
+  // Rounded to one decimal so the markup stays small
+  const round = (v) => Math.round(v * 10) / 10;
+  const x = (i) => round(RUN_PAD.left + (axis.length === 1 ? plotW / 2 : (i / (axis.length - 1)) * plotW));
+  const y = (rank) => round(RUN_PAD.top + ((Math.min(rank, RUN_MAX_RANK) - 1) / (RUN_MAX_RANK - 1)) * plotH);
+  const baseY = RUN_PAD.top + plotH;
+
+  let peak = Infinity;
+  for (const r of byWeek.values()) peak = Math.min(peak, r);
+
+  // Split into contiguous runs; anything between two runs is a drop-off
+  const runs = [];
+  const gaps = [];
+  let cur = null;
+  let gapStart = null;
+
+  axis.forEach((w, i) => {
+    if (byWeek.has(w)) {
+      if (gapStart !== null) {
+        gaps.push({ from: gapStart, to: i - 1 });
+        gapStart = null;
+      }
+      if (!cur) {
+        cur = [];
+        runs.push(cur);
+      }
+      cur.push({ i, week: w, rank: byWeek.get(w) });
+    } else {
+      cur = null;
+      if (gapStart === null) gapStart = i;
+    }
+  });
+
+  // Grid + rank axis (inverted: #1 at the top)
+  const ticks = [1, 25, 50, 75, 100];
+  const grid = ticks.map(t => `
+    <line class="runGrid" x1="${RUN_PAD.left}" x2="${RUN_W - RUN_PAD.right}" y1="${y(t)}" y2="${y(t)}" />
+    <text class="runTick" x="${RUN_PAD.left - 8}" y="${y(t) + 4}" text-anchor="end">#${t}</text>
+  `).join("");
+
+  // X labels: first, last and a few in between so they don't collide
+  const labelEvery = Math.max(1, Math.ceil(axis.length / 6));
+  const xLabels = axis.map((w, i) => {
+    const isEdge = i === 0 || i === axis.length - 1;
+    if (!isEdge && i % labelEvery !== 0) return "";
+    if (!isEdge && axis.length - 1 - i < labelEvery / 2) return "";
+    const anchor = axis.length === 1 ? "middle" : (i === 0 ? "start" : (i === axis.length - 1 ? "end" : "middle"));
+    return `<text class="runTick" x="${x(i)}" y="${RUN_H - 8}" text-anchor="${anchor}">${runEsc(runShortWeek(w))}</text>`;
+  }).join("");
+
+  // Off-chart stretches: shaded band + dashed connector between the two runs
+  const gapHtml = gaps.map(g => {
+    const x0 = x(Math.max(0, g.from - 1));
+    const x1 = x(Math.min(axis.length - 1, g.to + 1));
+    const before = byWeek.get(axis[g.from - 1]);
+    const after = byWeek.get(axis[g.to + 1]);
+    const weeksOff = g.to - g.from + 1;
+    return `
+      <rect class="runGapBand" x="${x(g.from) - 4}" y="${RUN_PAD.top}" width="${x(g.to) - x(g.from) + 8}" height="${plotH}">
+        <title>Off chart for ${weeksOff} week(s)</title>
+      </rect>
+      <line class="runGapLine" x1="${x0}" y1="${y(before)}" x2="${x1}" y2="${y(after)}" />
+      <text class="runGapLabel" x="${(x(g.from) + x(g.to)) / 2}" y="${baseY - 6}" text-anchor="middle">off</text>
+    `;
+  }).join("");
+
+  const lines = runs.map(run => {
+    if (run.length < 2) return "";
+    const pts = run.map(p => `${x(p.i)},${y(p.rank)}`).join(" ");
+    return `<polyline class="runLine" points="${pts}" />`;
+  }).join("");
+
+  // Points: each one is a link to that week; tooltip text lives in data-* for the JS tooltip
+  const dots = runs.flat().map(p => {
+    const isPeak = p.rank === peak;
+    const parts = [`Week of ${p.week}`, `#${p.rank}`];
+    if (p.i === 0) parts.push("Debut");
+    else if (!byWeek.has(axis[p.i - 1])) parts.push("Re-entry");
+    if (isPeak) parts.push("Peak");
+    const tip = parts.join(" · ");
+    return `
+      <a class="runPtLink" href="${runEsc(weekHref(p.week))}" data-tip="${runEsc(tip)}" aria-label="${runEsc(tip)}">
+        <circle class="runPt${isPeak ? " peak" : ""}" cx="${x(p.i)}" cy="${y(p.rank)}" r="${isPeak ? 6 : 4}" />
+      </a>
+    `;
+  }).join("");
+
+  // Peak label above the first peak point
+  const peakPoint = runs.flat().find(p => p.rank === peak);
+  const peakLabel = peakPoint
+    ? `<text class="runPeakLabel" x="${x(peakPoint.i)}" y="${Math.max(RUN_PAD.top - 4, y(peak) - 10)}" text-anchor="middle">#${peak}</text>`
+    : "";
+
+  const label = opts.label ? `Chart run for ${opts.label}` : "Chart run";
+
+  return `
+    <div class="chartRun">
+      <svg class="runSvg" viewBox="0 0 ${RUN_W} ${RUN_H}" role="group" aria-label="${runEsc(label)}">
+        ${grid}
+        ${gapHtml}
+        ${lines}
+        ${dots}
+        ${peakLabel}
+        ${xLabels}
+      </svg>
+      <div class="runTip hidden" role="tooltip"></div>
+    </div>
+  `;
+}
+
+// history: [{week, rank, points}] in any order; same axis + tooltips as the chart run
+function buildPointsRunSvg(history, opts = {}) {
+  const hist = (Array.isArray(history) ? history : []).filter(h => typeof h?.points === "number" && Number.isFinite(h.points));
+  const { axis } = buildRunAxis(Array.isArray(history) ? history : [], opts.weeks);
+  if (!axis.length || !hist.length) return "";
+
+  const weekHref = typeof opts.weekHref === "function" ? opts.weekHref : (w) => `?week=${encodeURIComponent(w)}`;
+  const byWeek = new Map(hist.map(h => [String(h.week), { points: Number(h.points), rank: h.rank }]));
+
+  const plotW = RUN_W - RUN_PAD.left - RUN_PAD.right;
+  const plotH = RUN_H - RUN_PAD.top - RUN_PAD.bottom;
+  const baseY = RUN_PAD.top + plotH;
+
+  let max = 0;
+  for (const v of byWeek.values()) max = Math.max(max, v.points);
+  // Round the scale up to a tidy number so the grid labels read well
+  const step = max > 200 ? 100 : (max > 50 ? 50 : 10);
+  const top = Math.max(step, Math.ceil(max / step) * step);
+
+  const round = (v) => Math.round(v * 10) / 10;
+  const slot = plotW / axis.length;
+  const barW = round(Math.max(2, Math.min(28, slot * 0.7)));
+  const x = (i) => round(RUN_PAD.left + slot * i + (slot - barW) / 2);
+  const y = (pts) => round(RUN_PAD.top + (1 - pts / top) * plotH);
+
+  const ticks = [0, top / 2, top];
+  const grid = ticks.map(t => `
+    <line class="runGrid" x1="${RUN_PAD.left}" x2="${RUN_W - RUN_PAD.right}" y1="${y(t)}" y2="${y(t)}" />
+    <text class="runTick" x="${RUN_PAD.left - 8}" y="${y(t) + 4}" text-anchor="end">${runEsc(t)}</text>
+  `).join("");
+
+  const labelEvery = Math.max(1, Math.ceil(axis.length / 6));
+  const xLabels = axis.map((w, i) => {
+    const isEdge = i === 0 || i === axis.length - 1;
+    if (!isEdge && i % labelEvery !== 0) return "";
+    if (!isEdge && axis.length - 1 - i < labelEvery / 2) return "";
+    const anchor = axis.length === 1 ? "middle" : (i === 0 ? "start" : (i === axis.length - 1 ? "end" : "middle"));
+    const cx = axis.length === 1 ? RUN_W / 2 : (i === 0 ? x(i) : (i === axis.length - 1 ? x(i) + barW : x(i) + barW / 2));
+    return `<text class="runTick" x="${round(cx)}" y="${RUN_H - 8}" text-anchor="${anchor}">${runEsc(runShortWeek(w))}</text>`;
+  }).join("");
+
+  let best = null;
+  for (const [w, v] of byWeek.entries()) if (!best || v.points > best.points) best = { week: w, points: v.points };
+
+  const bars = axis.map((w, i) => {
+    const v = byWeek.get(w);
+    if (!v) return "";
+    const isBest = best && w === best.week;
+    const tip = [`Week of ${w}`, `${v.points} pts`, v.rank ? `#${v.rank}` : "", isBest ? "Best week" : ""].filter(Boolean).join(" · ");
+    return `
+      <a class="runPtLink" href="${runEsc(weekHref(w))}" data-tip="${runEsc(tip)}" aria-label="${runEsc(tip)}">
+        <rect class="runBar${isBest ? " peak" : ""}" x="${x(i)}" y="${y(v.points)}" width="${barW}" height="${round(baseY - y(v.points))}" rx="2" />
+      </a>
+    `;
+  }).join("");
+
+  const label = opts.label ? `Points per week for ${opts.label}` : "Points per week";
+
+  return `
+    <div class="chartRun pointsRun">
+      <svg class="runSvg" viewBox="0 0 ${RUN_W} ${RUN_H}" role="group" aria-label="${runEsc(label)}">
+        ${grid}
+        ${bars}
+        ${xLabels}
+      </svg>
+      <div class="runTip hidden" role="tooltip"></div>
+    </div>
+  `;
+}
+
+// series: [{week, count, size}] oldest first — share of each week's chart
+// (count / size) as bars on every week, same tooltips as the chart run
+// opts: { weekHref: (week) => url, label: "tag" }
+function buildShareRunSvg(series, opts = {}) {
+  const axis = (Array.isArray(series) ? series : []).filter(s => s && s.week && s.size > 0);
+  if (!axis.length) return "";
+
+  const weekHref = typeof opts.weekHref === "function" ? opts.weekHref : (w) => `?week=${encodeURIComponent(w)}`;
+
+  const plotW = RUN_W - RUN_PAD.left - RUN_PAD.right;
+  const plotH = RUN_H - RUN_PAD.top - RUN_PAD.bottom;
+  const baseY = RUN_PAD.top + plotH;
+
+  const share = (s) => (s.count / s.size) * 100;
+  const max = Math.max(...axis.map(share));
+  // Whole-number grid lines: the top is an even number of steps
+  const step = max > 20 ? 10 : 5;
+  const top = Math.max(step * 2, Math.ceil(max / (step * 2)) * step * 2);
+
+  const round = (v) => Math.round(v * 10) / 10;
+  const slot = plotW / axis.length;
+  const barW = round(Math.max(2, Math.min(28, slot * 0.7)));
+  const x = (i) => round(RUN_PAD.left + slot * i + (slot - barW) / 2);
+  const y = (pct) => round(RUN_PAD.top + (1 - pct / top) * plotH);
+
+  const grid = [0, top / 2, top].map(t => `
+    <line class="runGrid" x1="${RUN_PAD.left}" x2="${RUN_W - RUN_PAD.right}" y1="${y(t)}" y2="${y(t)}" />
+    <text class="runTick" x="${RUN_PAD.left - 8}" y="${y(t) + 4}" text-anchor="end">${runEsc(`${t}%`)}</text>
+  `).join("");
+
+  const labelEvery = Math.max(1, Math.ceil(axis.length / 6));
+  const xLabels = axis.map((s, i) => {
+    const isEdge = i === 0 || i === axis.length - 1;
+    if (!isEdge && i % labelEvery !== 0) return "";
+    if (!isEdge && axis.length - 1 - i < labelEvery / 2) return "";
+    const anchor = axis.length === 1 ? "middle" : (i === 0 ? "start" : (i === axis.length - 1 ? "end" : "middle"));
+    const cx = axis.length === 1 ? RUN_W / 2 : (i === 0 ? x(i) : (i === axis.length - 1 ? x(i) + barW : x(i) + barW / 2));
+    return `<text class="runTick" x="${round(cx)}" y="${RUN_H - 8}" text-anchor="${anchor}">${runEsc(runShortWeek(s.week))}</text>`;
+  }).join("");
+
+  const best = Math.max(...axis.map(s => s.count));
+  const bars = axis.map((s, i) => {
+    if (!s.count) return "";
+    const pct = share(s);
+    const tip = [`Week of ${s.week}`, `${s.count} song(s)`, `${Math.round(pct)}%`].join(" · ");
+    return `
+      <a class="runPtLink" href="${runEsc(weekHref(s.week))}" data-tip="${runEsc(tip)}" aria-label="${runEsc(tip)}">
+        <rect class="runBar${s.count === best ? " peak" : ""}" x="${x(i)}" y="${y(pct)}" width="${barW}" height="${round(baseY - y(pct))}" rx="2" />
+      </a>
+    `;
+  }).join("");
+
+  const label = opts.label ? `Share of the chart for ${opts.label}` : "Share of the chart";
+
+  return `
+    <div class="chartRun pointsRun">
+      <svg class="runSvg" viewBox="0 0 ${RUN_W} ${RUN_H}" role="group" aria-label="${runEsc(label)}">
+        ${grid}
+        ${bars}
+        ${xLabels}
+      </svg>
+      <div class="runTip hidden" role="tooltip"></div>
+    </div>
+  `;
+}
+
+// Wire hover/focus tooltips for every chart-run graph inside root
+function setupChartRun(root) {
+  if (!root) return;
+
+  root.querySelectorAll(".chartRun").forEach((wrap) => {
+    const tip = wrap.querySelector(".runTip");
+    if (!tip) return;
+
+    function show(link) {
+      const dot = link.querySelector("circle, rect");
+      if (!dot) return;
+      tip.textContent = link.getAttribute("data-tip") || "";
+      tip.classList.remove("hidden");
+
+      // Position relative to the wrapper (SVG is scaled to the panel width)
+      const wr = wrap.getBoundingClientRect();
+      const dr = dot.getBoundingClientRect();
+      const left = dr.left - wr.left + dr.width / 2;
+      const top = dr.top - wr.top;
+      tip.style.left = `${Math.max(0, Math.min(left, wr.width))}px`;
+      tip.style.top = `${top}px`;
+    }
+
+    function hide() {
+      tip.classList.add("hidden");
+    }
+
+    wrap.querySelectorAll(".runPtLink").forEach((link) => {
+      link.addEventListener("mouseenter", () => show(link));
+      link.addEventListener("focus", () => show(link));
+      link.addEventListener("mouseleave", hide);
+      link.addEventListener("blur", hide);
+      // Clicking a point shouldn't toggle the row it lives in
+      link.addEventListener("click", (e) => e.stopPropagation());
+    });
+  });
+}
@@ -0,0 +1,2678 @@
+/* =========================================
+   Nabnation Top 100 — core.js
+   Shared chart logic for the site (classic <script>) and the
+   Node build scripts (require("./core.js")).
+   - Name cleaning + song keys
+   - Artist identity: aliases (data/artists.json), collaboration credits
+   - Song identity: title variants merged, overrides in data/songs.json
+   - Per-week derived stats (LW/Peak/Weeks/movement)
+   - Chart view filters + sorts (?show= &artist= &sort=)
+   - Awards registry (weekly + period) + milestones per week
+   - Song detail across every week (song.html)
+   - Song + artist search across every week (typo tolerant)
+   - All-time records (records.html)
+   - Year-end / all-time / monthly / quarterly charts (?period=)
+   - Week vs week comparison (?compare=)
+   - Album chart from data/albums.json (albums.html, album.html)
+   - Precomputed derived index (data/derived.json)
+   - Repair review: backup week vs live week diffs
+========================================= */
+
+// GitHub Pages + Jekyll sometimes breaks files starting with "_"
+const PLACEHOLDER_PRIMARY = "covers/_placeholder.png";
+const PLACEHOLDER_FALLBACK = "covers/placeholder.png";
+
+const DERIVED_INDEX_FILE = "derived.json";
+const DERIVED_INDEX_VERSION = 3;
+
+const CHART_SIZE = 100;
+
+// Movement types the site understands; the generator writes "stay" for "same"
+const MOVEMENT_TYPES = ["new", "re", "up", "down", "same"];
+const MOVEMENT_ALIASES = { stay: "same" };
+
+// ---------- names / keys ----------
+function safeText(v, fallback = "") {
+  const s = String(v ?? "").trim();
+  return s ? s : fallback;
+}
+
+function numOrNull(v) {
+  const n = Number(v);
+  return (v === null || v === undefined || v === "" || !Number.isFinite(n)) ? null : n;
+}
+
+// Remove junk that accidentally got glued onto artist names
+// Examples:
+// "fakemink (60.0 pts) (6 listeners)* (new release)"
+function cleanArtistName(raw) {
+  let s = safeText(raw);
+  s = s.replace(/\s*\*+\s*$/g, ""); // trailing *'s
+  // Remove parentheses segments that look like pts/listeners/new release
+  s = s.replace(/\s*\(([^)]*)\)\s*/g, (m, inner) => {
+    const t = inner.toLowerCase();
+    if (
+      t.includes("pt") ||
+      t.includes("pts") ||
+      t.includes("listener") ||
+      t.includes("listeners") ||
+      t.includes("new release")
+    ) return " ";
+    return ` (${inner}) `;
+  });
+  // Collapse whitespace
+  s = s.replace(/\s+/g, " ").trim();
+  return s;
+}
+
+function cleanTitle(raw) {
+  let s = safeText(raw);
+  s = s.replace(/\s+/g, " ").trim();
+  return s;
+}
+
+function songKey(title, artist) {
+  const t = cleanTitle(title).toLowerCase();
+  const a = cleanArtistName(artist).toLowerCase();
+  // stable key
+  return `${a} — ${t}`.trim();
+}
+
+function normalizeMovementType(type) {
+  const t = safeText(type).toLowerCase();
+  return MOVEMENT_ALIASES[t] || t;
+}
+
+// ---------- Artist identity (data/artists.json) ----------
+// One place that decides who an artist is:
+// - artistId(): case / accent / punctuation-blind id ("Tyler The Creator" = "Tyler, The Creator")
+// - data/artists.json: { "artists": { "<canonical name>": ["<alias>", ...] } }
+//   Canonical names are never split ("She & Him"); aliases (old spellings,
+//   renames) resolve to them, so old artist URLs can redirect.
+// - Collaborations split on ",", "&", " x " and feat./ft. in the artist field,
+//   plus "(feat. …)" / "(with …)" in the title. Featured credits get role "featured".
+const ARTIST_IDENTITY_FILE = "artists.json";
+const ARTIST_ROLES = ["lead", "featured"];
+
+const ARTIST_SPLIT_RE = /(\s*,\s*|\s+&\s+|\s+x\s+|\s+(?:feat\.?|ft\.?|featuring)\s+)/i;
+const ARTIST_FEAT_SEP_RE = /^\s+(?:feat\.?|ft\.?|featuring)\s+$/i;
+const TITLE_FEAT_RE = /[([]\s*(?:feat\.?|ft\.?|featuring|with)\s+([^)\]]+)[)\]]/gi;
+
+// Names that are all symbols fold to "", so they keep their lowercased spelling
+function artistId(name) {
+  const clean = cleanArtistName(name);
+  return searchFold(clean) || clean.toLowerCase();
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// table = parsed data/artists.json (or null: no aliases, nothing protected)
+function buildArtistIdentity(table) {
+  const canonical = new Map(); // artistId -> canonical name
+  const keep = [];             // names that contain a separator but are one artist
+
+  for (const [name, aliases] of Object.entries(table?.artists || {})) {
+    const clean = cleanArtistName(name);
+    if (!clean) continue;
+    canonical.set(artistId(clean), clean);
+    for (const alias of Array.isArray(aliases) ? aliases : []) {
+      const id = artistId(alias);
+      if (id && !canonical.has(id)) canonical.set(id, clean);
+    }
+    for (const n of [clean, ...(Array.isArray(aliases) ? aliases : [])]) {
+      if (ARTIST_SPLIT_RE.test(` ${n} `)) keep.push(cleanArtistName(n));
+    }
+  }
+
+  keep.sort((a, b) => b.length - a.length);
+  const keepRe = keep.length ? new RegExp(`(${keep.map(escapeRegExp).join("|")})`, "i") : null;
+  return { canonical, keepRe };
+}
+
+function canonicalArtist(identity, name) {
+  const clean = cleanArtistName(name);
+  return identity?.canonical.get(artistId(clean)) || clean;
+}
+
+// Splits a credit string into names + the separators between them, so a
+// page can link each name but still show "A & B" the way it was written.
+// [{ text, name|null, role }] (name is null for separators)
+function artistCreditParts(identity, raw, role = "lead") {
+  const s = cleanArtistName(raw);
+  if (!s) return [];
+  if (identity?.canonical.has(artistId(s))) return [{ text: s, name: canonicalArtist(identity, s), role }];
+
+  // Protected names first, then the separators in whatever is left
+  const chunks = identity?.keepRe ? s.split(identity.keepRe) : [s];
+  const parts = [];
+  let curRole = role;
+  chunks.forEach((chunk, i) => {
+    if (!chunk) return;
+    if (i % 2 === 1) {
+      parts.push({ text: chunk, name: canonicalArtist(identity, chunk), role: curRole });
+      return;
+    }
+    chunk.split(ARTIST_SPLIT_RE).forEach((piece, j) => {
+      if (!piece) return;
+      if (j % 2 === 1) {
+        if (ARTIST_FEAT_SEP_RE.test(piece)) curRole = "featured";
+        parts.push({ text: piece, name: null, role: curRole });
+        return;
+      }
+      const text = piece.trim();
+      if (text) parts.push({ text, name: canonicalArtist(identity, text), role: curRole });
+    });
+  });
+  return parts;
+}
+
+function featuredFromTitle(identity, title) {
+  const out = [];
+  for (const m of cleanTitle(title).matchAll(TITLE_FEAT_RE)) {
+    const names = m[1].replace(/\s+and\s+/gi, " & ");
+    for (const p of artistCreditParts(identity, names, "featured")) {
+      if (p.name) out.push({ name: p.name, role: "featured" });
+    }
+  }
+  return out;
+}
+
+// Everyone credited on a song, lead artist(s) first; one entry per artist
+function artistCredits(identity, artist, title) {
+  const credits = [];
+  const seen = new Set();
+  const lead = artistCreditParts(identity, artist).filter(p => p.name);
+  for (const c of [...lead, ...featuredFromTitle(identity, title)]) {
+    const id = artistId(c.name);
+    if (!id || seen.has(id)) continue;
+    seen.add(id);
+    credits.push({ name: c.name, id, role: c.role });
+  }
+  return credits;
+}
+
+// Map(artistId -> { name, items }): every {artist, title} item listed under
+// each artist credited on it (lead + featured, as on the artist pages).
+// The name is the canonical one, else the first spelling seen.
+function groupByArtistCredits(items, identity = null) {
+  const groups = new Map();
+  for (const item of items) {
+    for (const c of artistCredits(identity, item.artist, item.title)) {
+      if (!groups.has(c.id)) groups.set(c.id, { name: c.name, items: [] });
+      groups.get(c.id).items.push(item);
+    }
+  }
+  return groups;
+}
+
+// songKey -> ids of the song's lead artists, for a buildDerived()-shaped
+// songInfo map. Ids don't depend on which spelling songInfo kept ("CORTIS" =
+// "Cortis"); featured credits do (they often come from the title, which
+// differs between spellings of one song), so they are left out.
+function songLeadArtistIds(songInfo, identity = null) {
+  const ids = new Map();
+  for (const [key, info] of songInfo.entries()) {
+    ids.set(key, artistCredits(identity, info.artist, info.title).filter(c => c.role === "lead").map(c => c.id));
+  }
+  return ids;
+}
+
+// ---------- Song identity (data/songs.json) ----------
+// songKey() is the key of one spelling. Spellings that only differ in case,
+// punctuation or a "(feat. …)" tag share a match key (songMatchKey) and are
+// counted as one song, under the key of the first spelling that charted.
+// data/songs.json overrides that by hand:
+//   { "merge": { "<songKey>": "<songKey it is the same song as>" },
+//     "split": ["<songKey that must keep its own chart run>"] }
+// Remix / sped up / live versions are not merged automatically;
+// scripts/song-duplicates.js lists them for review.
+const SONG_IDENTITY_FILE = "songs.json";
+const SONG_VERSION_RE = /\s*(?:[([][^)\]]*\b(?:remix|mix|edit|version|sped up|slowed|live|remaster(?:ed)?|acoustic|instrumental)\b[^)\]]*[)\]]|\s-\s.*\b(?:remix|mix|edit|version|sped up|slowed|live|remaster(?:ed)?|acoustic|instrumental)\b.*)$/i;
+
+function buildSongIdentity(table) {
+  const merge = new Map();
+  for (const [from, to] of Object.entries(table?.merge || {})) {
+    const a = safeText(from).toLowerCase();
+    const b = safeText(to).toLowerCase();
+    if (a && b && a !== b) merge.set(a, b);
+  }
+  const split = new Set((Array.isArray(table?.split) ? table.split : []).map(k => safeText(k).toLowerCase()).filter(Boolean));
+  return { merge, split };
+}
+
+function songMatchTitle(title) {
+  const t = cleanTitle(title);
+  return searchFold(t.replace(TITLE_FEAT_RE, " ").replace(/\s+-\s+(?:feat\.?|ft\.?|featuring)\s.*$/i, "")) || t.toLowerCase();
+}
+
+// Lead artists in any order; "feat." credits don't count
+function songMatchKey(title, artist) {
+  const leads = artistCreditParts(null, artist)
+    .filter(p => p.name && p.role === "lead")
+    .map(p => artistId(p.name))
+    .sort();
+  return `${leads.join(" & ")} — ${songMatchTitle(title)}`;
+}
+
+// Title without a trailing remix / version tag ("Song (Remix)" -> "song")
+function songBaseTitle(title) {
+  return songMatchTitle(cleanTitle(title).replace(SONG_VERSION_RE, ""));
+}
+
+// songKey -> the key its chart run is counted under, for every spelling in
+// weeksAsc. Only spellings that map elsewhere are stored.
+// Two spellings charting in the same week are never merged automatically.
+function buildSongKeyMap(weeksAsc, weekDataByWeek, identity = null) {
+  const keys = new Map();
+  const firstByMatch = new Map();
+  const merge = identity?.merge || new Map();
+  const split = identity?.split || new Set();
+
+  const mergeTarget = (key) => {
+    let k = key;
+    for (let i = 0; i < 10 && merge.has(k); i++) k = merge.get(k);
+    return keys.get(k) || k;
+  };
+
+  for (const w of weeksAsc) {
+    const entries = Array.isArray(weekDataByWeek.get(w)?.entries) ? weekDataByWeek.get(w).entries : [];
+    const spellings = [];
+    for (const raw of entries) {
+      const title = cleanTitle(raw.title);
+      const artist = cleanArtistName(raw.artist);
+      if (title && artist) spellings.push({ key: songKey(title, artist), title, artist });
+    }
+
+    // Songs already known and on this week's chart
+    const taken = new Set(spellings.filter(s => keys.has(s.key)).map(s => keys.get(s.key)));
+
+    for (const s of spellings) {
+      if (keys.has(s.key)) continue;
+
+      let key = s.key;
+      if (merge.has(s.key)) {
+        key = mergeTarget(s.key);
+      } else if (!split.has(s.key)) {
+        const match = songMatchKey(s.title, s.artist);
+        const first = firstByMatch.get(match);
+        if (!first) firstByMatch.set(match, s.key);
+        else if (!taken.has(first)) key = first;
+      }
+
+      keys.set(s.key, key);
+      taken.add(key);
+    }
+  }
+
+  for (const [k, v] of keys.entries()) {
+    if (k === v) keys.delete(k);
+  }
+  return keys;
+}
+
+// Key of one spelling under a buildDerived()-shaped state
+function stateSongKey(state, title, artist) {
+  const key = songKey(title, artist);
+  return state?.songKeys?.get(key) || key;
+}
+
+// ---------- Awards ----------
+// Registry of weekly awards. Each award:
+// - value(e, ctx): number for eligible entries, null otherwise
+// - best: "max" or "min" value wins
+// - tieBreak(a, b): < 0 when entry a should win a tie (default: better chart rank)
+// - name: award title (tallies); label(winner): text shown on the row
+// - cls: colour class in styles.css
+// ctx = { week, firstWeek, artistFirstWeek, songArtists } (see awardContext);
+// awards that need it are skipped when it is missing.
+const byChartRank = (a, b) => a.rank - b.rank;
+
+function moveValue(e, type) {
+  return normalizeMovementType(e.movement?.type) === type && typeof e.movement.value === "number"
+    ? Math.abs(e.movement.value)
+    : null;
+}
+
+const AWARDS = [
+  {
+    id: "jump",
+    name: "Biggest Jump",
+    cls: "awardJump",
+    best: "max",
+    value: e => moveValue(e, "up"),
+    label: w => `Biggest Jump (+${w.value})`
+  },
+  {
+    id: "fall",
+    name: "Biggest Fall",
+    cls: "awardFall",
+    best: "max",
+    value: e => moveValue(e, "down"),
+    label: w => `Biggest Fall (-${w.value})`
+  },
+  {
+    id: "debut",
+    name: "Hot Shot Debut",
+    cls: "awardDebut",
+    best: "min",
+    value: e => (e.movement?.type === "new" ? e.rank : null),
+    label: () => "Hot Shot Debut"
+  },
+  {
+    id: "reentry",
+    name: "Hot Shot Re-Entry",
+    cls: "awardReentry",
+    best: "min",
+    value: e => (e.movement?.type === "re" ? e.rank : null),
+    label: () => "Hot Shot Re-Entry"
+  },
+  {
+    id: "sitter",
+    name: "Longest Chart Sitter",
+    cls: "awardSitter",
+    best: "max",
+    value: e => (typeof e.weeks === "number" ? e.weeks : null),
+    label: () => "Longest Chart Sitter"
+  },
+  {
+    // Points gained on last week, for songs that were on last week's chart
+    id: "pointGain",
+    name: "Biggest Point Gain",
+    cls: "awardGain",
+    best: "max",
+    value: e => (typeof e.points === "number" && typeof e.lastWeekPoints === "number" && e.points > e.lastWeekPoints
+      ? Math.round((e.points - e.lastWeekPoints) * 10) / 10
+      : null),
+    label: w => `Biggest Point Gain (+${w.value})`
+  },
+  {
+    id: "listeners",
+    name: "Most Listeners",
+    cls: "awardListeners",
+    best: "max",
+    value: e => (typeof e.listeners === "number" ? e.listeners : null),
+    tieBreak: (a, b) => ((b.points ?? 0) - (a.points ?? 0)) || byChartRank(a, b),
+    label: w => `Most Listeners (${w.value})`
+  },
+  {
+    // Best-placed song by an artist charting for the first time (any lead artist)
+    id: "newArtist",
+    name: "Top New Artist",
+    cls: "awardNewArtist",
+    best: "min",
+    value: (e, ctx) => (ctx?.artistFirstWeek && ctx.week !== ctx.firstWeek &&
+      (ctx.songArtists?.get(e._key) || []).some(id => ctx.artistFirstWeek.get(id) === ctx.week)
+      ? e.rank
+      : null),
+    label: () => "Top New Artist"
+  }
+];
+
+// Map(songKey -> [{id, text, cls}]) in registry order
+function runAwards(registry, entries, ctx) {
+  const awards = new Map();
+
+  for (const award of registry) {
+    const tieBreak = award.tieBreak || byChartRank;
+    let winner = null; // {entry, value}
+
+    for (const e of entries) {
+      const value = award.value(e, ctx);
+      if (value === null || value === undefined) continue;
+
+      const better = !winner ||
+        (award.best === "min" ? value < winner.value : value > winner.value) ||
+        (value === winner.value && tieBreak(e, winner.entry) < 0);
+      if (better) winner = { entry: e, value };
+    }
+
+    if (!winner) continue;
+    const key = winner.entry._key;
+    if (!awards.has(key)) awards.set(key, []);
+    awards.get(key).push({ id: award.id, text: award.label(winner), cls: award.cls });
+  }
+
+  return awards;
+}
+
+// Repeated rows (duplicateOf) can't win: the song's first row speaks for it
+function computeAwardsForWeek(entries, ctx) {
+  return runAwards(AWARDS, entries.filter(e => !e.duplicateOf), ctx);
+}
+
+// First chart week of every lead artist: Map(artistId -> week).
+// songArtists: songLeadArtistIds(songInfo)
+function artistFirstWeeks(historyMap, songArtists) {
+  const first = new Map();
+  for (const [key, hist] of historyMap.entries()) {
+    for (const id of songArtists.get(key) || []) {
+      for (const h of hist) {
+        if (!first.has(id) || h.week < first.get(id)) first.set(id, h.week);
+      }
+    }
+  }
+  return first;
+}
+
+// Award context for one week of a buildDerived()-shaped state
+// identity: buildArtistIdentity(data/artists.json), for aliases
+function awardContext(state, weeksAsc, identity = null) {
+  const songArtists = songLeadArtistIds(state.songInfo, identity);
+  return {
+    week: weeksAsc[weeksAsc.length - 1],
+    firstWeek: weeksAsc[0],
+    artistFirstWeek: artistFirstWeeks(state.historyMap, songArtists),
+    songArtists
+  };
+}
+
+// ---------- Milestones ----------
+// Per-song milestones for one week, read from the same derived history the
+// chart uses, so older weeks get the milestones they had at the time.
+// "Firsts" are skipped on the very first chart week: there is nothing before it.
+const MILESTONE_WEEKS = [10, 20, 50];
+const ARTIST_SONG_MILESTONE = 10;
+
+// entries: deriveWeekEntries output; historyMap / songInfo: same state;
+// weeksAsc: every week up to and including the entries' week.
+// "Artist" milestones count each lead artist (songLeadArtistIds), so
+// spelling variants and collaborations add up under the same artist.
+function computeMilestonesForWeek(entries, historyMap, songInfo, weeksAsc, identity = null) {
+  const milestones = new Map();
+  const week = weeksAsc[weeksAsc.length - 1];
+  const prevWeek = weeksAsc.length > 1 ? weeksAsc[weeksAsc.length - 2] : null;
+  const firstWeek = weeksAsc[0];
+
+  function add(key, obj) {
+    if (!milestones.has(key)) milestones.set(key, []);
+    milestones.get(key).push(obj);
+  }
+
+  // Each artist's songs in debut order (week, then debut rank)
+  const leadIds = songLeadArtistIds(songInfo, identity);
+  const songsByArtist = new Map();
+  for (const [key, hist] of historyMap.entries()) {
+    const debut = hist.filter(h => h.week <= week).reduce((a, b) => (b.week < a.week ? b : a), hist[0]);
+    if (!debut || debut.week > week) continue;
+    for (const id of leadIds.get(key) || []) {
+      if (!songsByArtist.has(id)) songsByArtist.set(id, []);
+      songsByArtist.get(id).push({ key, week: debut.week, rank: debut.rank });
+    }
+  }
+  for (const list of songsByArtist.values()) {
+    list.sort((a, b) => a.week.localeCompare(b.week) || a.rank - b.rank);
+  }
+
+  for (const e of entries) {
+    if (e.duplicateOf) continue;
+    const key = e._key;
+    const before = (e.history || []).filter(h => h.week < week);
+
+    if (MILESTONE_WEEKS.includes(e.weeks)) {
+      add(key, { id: `weeks${e.weeks}`, text: `${e.weeks} Weeks on Chart`, cls: "ms-weeks" });
+    }
+
+    if (week !== firstWeek) {
+      if (e.rank === 1 && !before.some(h => h.rank === 1)) {
+        add(key, { id: "firstNo1", text: "First #1", cls: "ms-no1" });
+      } else if (e.rank <= 10 && !before.some(h => h.rank <= 10)) {
+        add(key, { id: "firstTop10", text: "First Top 10", cls: "ms-top10" });
+      }
+    }
+
+    // Back at #1 after at least one week away from the top
+    const lastWeekRank = before.find(h => h.week === prevWeek)?.rank;
+    if (e.rank === 1 && before.some(h => h.rank === 1) && lastWeekRank !== 1) {
+      add(key, { id: "returnNo1", text: "Returns to #1", cls: "ms-no1" });
+    }
+
+    // nth song of each lead artist; one badge per song even if several qualify
+    const nths = (leadIds.get(key) || []).map((id) => {
+      const artistSongs = songsByArtist.get(id) || [];
+      const i = artistSongs.findIndex(s => s.key === key);
+      return i >= 0 && artistSongs[i].week === week ? i + 1 : 0;
+    });
+    if (week !== firstWeek && nths.includes(1)) {
+      add(key, { id: "artistFirst", text: "Artist's First Entry", cls: "ms-artist" });
+    }
+    if (nths.includes(ARTIST_SONG_MILESTONE)) {
+      add(key, { id: "artistSongs10", text: `Artist's ${ARTIST_SONG_MILESTONE}th Charting Song`, cls: "ms-artist" });
+    }
+  }
+
+  return milestones;
+}
+
+// ---------- Build per-week derived stats from loaded weeks ----------
+// A song counts once per week, at its best rank. Week files sometimes list
+// the same song twice (validate.js "duplicate-song"); the lower rows are
+// shown but flagged by deriveWeekEntries (duplicateOf) and skipped by stats,
+// awards and milestones.
+function buildDerived(weeksAsc, weekDataByWeek, targetWeek, songIdentity = null) {
+  // Build:
+  // - historyMap: key -> [{week, rank, points, listeners}] (DESC for display)
+  // - statsAtWeek: key -> {weeks, peak, debutDate, peakDate}
+  // - prevWeekRanks: key -> rank (only for immediate previous week)
+  // - songInfo: key -> {title, artist, cover} (latest spelling seen)
+  // - songKeys: songKey -> key, for spellings merged into another song (see buildSongKeyMap)
+  const t = weeksAsc.indexOf(targetWeek);
+  const neededWeeks = t < 0 ? weeksAsc : weeksAsc.slice(0, t + 1);
+  const songKeys = buildSongKeyMap(neededWeeks, weekDataByWeek, songIdentity);
+
+  let prevWeekRanks = null;
+  const state = foldDerivedWeeks(neededWeeks, weekDataByWeek, songKeys, (w, st) => {
+    if (w === targetWeek) prevWeekRanks = st.prevWeekRanks;
+  });
+  // No target week: "previous" is the last week folded in
+  if (t >= 0) state.prevWeekRanks = prevWeekRanks;
+
+  return state;
+}
+
+// Folds weeksAsc in order, once. onWeek(week, state) runs after each week is
+// added, while state.prevWeekRanks still holds the week before it; history
+// arrays stay newest first throughout, so deriveWeekEntries works in onWeek.
+// songKeys: buildSongKeyMap over (at least) weeksAsc.
+function foldDerivedWeeks(weeksAsc, weekDataByWeek, songKeys, onWeek = null) {
+  const state = {
+    seenStats: new Map(),
+    historyMap: new Map(),
+    prevWeekRanks: new Map(),
+    songInfo: new Map(),
+    songKeys
+  };
+
+  for (const w of weeksAsc) {
+    const data = weekDataByWeek.get(w);
+    const entries = Array.isArray(data?.entries) ? data.entries : [];
+
+    const thisWeekRanks = new Map();
+
+    for (const raw of entries) {
+      const title = cleanTitle(raw.title);
+      const artist = cleanArtistName(raw.artist);
+      if (!title || !artist) continue;
+
+      const key = stateSongKey(state, title, artist);
+      const rank = Number(raw.rank);
+
+      // Song listed again this week: its first row already counted
+      if (!Number.isFinite(rank) || thisWeekRanks.has(key)) continue;
+
+      thisWeekRanks.set(key, rank);
+      state.songInfo.set(key, { title, artist, cover: safeText(raw.cover, "") });
+
+      // history (newest first)
+      if (!state.historyMap.has(key)) state.historyMap.set(key, []);
+      state.historyMap.get(key).unshift({
+        week: w,
+        rank,
+        points: numOrNull(raw.points),
+        listeners: numOrNull(raw.listeners)
+      });
+
+      // stats
+      if (!state.seenStats.has(key)) {
+        state.seenStats.set(key, {
+          weeks: 0,
+          peak: rank,
+          debutDate: w,
+          peakDate: w
+        });
+      }
+      const st = state.seenStats.get(key);
+      st.weeks += 1;
+
+      if (rank < st.peak) {
+        st.peak = rank;
+        st.peakDate = w;
+      }
+    }
+
+    if (onWeek) onWeek(w, state);
+    state.prevWeekRanks = thisWeekRanks;
+  }
+
+  return state;
+}
+
+function deriveEntryForWeek(rawEntry, targetWeek, prevWeekRanks, seenStats, historyMap, isInPrevWeek, wasEverBefore, key = songKey(rawEntry.title, rawEntry.artist)) {
+  const title = cleanTitle(rawEntry.title);
+  const artist = cleanArtistName(rawEntry.artist);
+  const rank = Number(rawEntry.rank);
+
+  const st = seenStats.get(key) || { weeks: null, peak: null, debutDate: null, peakDate: null };
+  const history = historyMap.get(key) || [];
+
+  const lastWeekRank = prevWeekRanks.get(key) ?? null;
+
+  // Determine movement type in a Billboard-ish way:
+  // - NEW: never charted before this week
+  // - RE: charted before, but NOT last week
+  // - up/down/same: based on last week
+  let movement = { type: "same", value: 0 };
+
+  if (!wasEverBefore) {
+    movement = { type: "new", value: null };
+  } else if (!isInPrevWeek) {
+    // re-entry
+    movement = { type: "re", value: null };
+  } else {
+    const delta = lastWeekRank - rank;
+    if (delta > 0) movement = { type: "up", value: delta };
+    else if (delta < 0) movement = { type: "down", value: Math.abs(delta) };
+    else movement = { type: "same", value: 0 };
+  }
+
+  // LW display rule:
+  // - if re-entry or new: LW should be null (shows —)
+  // - else use lastWeekRank
+  const lw = (movement.type === "new" || movement.type === "re") ? null : lastWeekRank;
+
+  // Points gain only makes sense against last week's chart run (not new / re-entries)
+  const points = numOrNull(rawEntry.points);
+  const listeners = numOrNull(rawEntry.listeners);
+  const prevHist = (lw === null) ? null : history.find(h => h.week < targetWeek);
+  const lastWeekPoints = prevHist ? prevHist.points : null;
+  const pointsChange = (points !== null && lastWeekPoints)
+    ? ((points - lastWeekPoints) / lastWeekPoints) * 100
+    : null;
+
+  // Cover: prefer explicit cover, but repair blanks/placeholder-ish values
+  let cover = safeText(rawEntry.cover, "");
+  if (!cover || cover.includes("placeholder")) {
+    // force to placeholder; fallback handler will fix if underscore is blocked
+    cover = PLACEHOLDER_PRIMARY;
+  }
+
+  return {
+    rank,
+    title,
+    artist,
+    cover,
+    movement,
+    lastWeek: lw,
+    points,
+    listeners,
+    lastWeekPoints,
+    pointsChange,
+    peak: st.peak,
+    weeks: st.weeks,
+    debutDate: st.debutDate,
+    peakDate: st.peakDate,
+    history,
+    _key: key
+  };
+}
+
+// Derive every entry of the target week from a buildDerived()-shaped state.
+// A song listed again lower down gets duplicateOf: <rank it counted at>.
+function deriveWeekEntries(rawEntries, targetWeek, state) {
+  const { seenStats, historyMap, prevWeekRanks } = state;
+  const entries = Array.isArray(rawEntries) ? rawEntries : [];
+  const firstRank = new Map();
+
+  return entries.map((raw) => {
+    const key = stateSongKey(state, raw.title, raw.artist);
+    // history includes targetWeek itself; any older week means it charted before
+    const everBefore = (historyMap.get(key) || []).some(h => h.week < targetWeek);
+    const e = deriveEntryForWeek(raw, targetWeek, prevWeekRanks, seenStats, historyMap, prevWeekRanks.has(key), everBefore, key);
+    if (!e.title || !e.artist || !Number.isFinite(e.rank)) return e;
+    if (firstRank.has(key)) e.duplicateOf = firstRank.get(key);
+    else firstRank.set(key, e.rank);
+    return e;
+  });
+}
+
+// ---------- Chart view: filter + sort (?show= &artist= &tag= &sort=) ----------
+// Works on deriveWeekEntries output. Unknown values fall back to the full chart by rank.
+// tagsOf: buildTagLookup result, needed for view.tag
+// identity: buildArtistIdentity(data/artists.json); view.artist matches every
+// song the artist is credited on (lead or featured), under any alias
+const CHART_FILTERS = {
+  new: { label: "New entries", test: e => e.movement?.type === "new" },
+  re: { label: "Re-entries", test: e => e.movement?.type === "re" },
+  up: { label: "Gainers", test: e => normalizeMovementType(e.movement?.type) === "up" },
+  down: { label: "Fallers", test: e => normalizeMovementType(e.movement?.type) === "down" }
+};
+
+// dir 1 = biggest first; null values always sort last, ties keep chart rank
+const CHART_SORTS = {
+  rank: { label: "Rank", field: "rank", dir: -1 },
+  points: { label: "Points", field: "points", dir: 1 },
+  listeners: { label: "Listeners", field: "listeners", dir: 1 },
+  weeks: { label: "Weeks on chart", field: "weeks", dir: 1 },
+  peak: { label: "Peak", field: "peak", dir: -1 }
+};
+
+function applyChartView(entries, view = {}, tagsOf = null, identity = null) {
+  const filter = CHART_FILTERS[view.show];
+  const artist = view.artist ? artistId(canonicalArtist(identity, view.artist)) : "";
+  const tag = view.tag && tagsOf ? tagName(view.tag) : "";
+  const sort = CHART_SORTS[view.sort] || CHART_SORTS.rank;
+
+  const out = entries.filter(e => (!filter || filter.test(e)) &&
+    (!artist || artistCredits(identity, e.artist, e.title).some(c => c.id === artist)) &&
+    (!tag || tagsOf(e._key, e.artist, e.title).includes(tag)));
+
+  const val = (e) => (typeof e[sort.field] === "number" ? e[sort.field] : null);
+  return out.sort((a, b) => {
+    const va = val(a);
+    const vb = val(b);
+    if (va !== vb) {
+      if (va === null) return 1;
+      if (vb === null) return -1;
+      return sort.dir > 0 ? vb - va : va - vb;
+    }
+    return a.rank - b.rank;
+  });
+}
+
+// ---------- Derived index (data/derived.json) ----------
+// Precomputed buildDerived() output for every week, written by scripts/build-index.js.
+// Rows are arrays to keep the file small; INDEX_FIELDS documents the columns.
+// aliases: songKey -> key for spellings merged into another song (song identity).
+// duplicates: week -> ranks of rows that repeat a song already on that week's
+// chart (deriveWeekEntries duplicateOf); they have no row of their own.
+const INDEX_FIELDS = {
+  history: ["weekIdx", "rank", "points", "listeners"],
+  week: ["rank", "lastWeek", "peak", "weeks", "debutIdx", "peakIdx", "movement", "movementValue"]
+};
+
+function buildDerivedIndex(weeksAsc, weekDataByWeek, songIdentity = null) {
+  const weekIdx = new Map(weeksAsc.map((w, i) => [w, i]));
+  const songKeys = buildSongKeyMap(weeksAsc, weekDataByWeek, songIdentity);
+  const songs = {};
+  const byWeek = {};
+  const duplicates = {};
+
+  foldDerivedWeeks(weeksAsc, weekDataByWeek, songKeys, (w, state) => {
+    const rawEntries = weekDataByWeek.get(w)?.entries;
+    const rows = {};
+
+    for (const e of deriveWeekEntries(rawEntries, w, state)) {
+      if (!e.title || !e.artist || !Number.isFinite(e.rank)) continue;
+      if (e.duplicateOf) {
+        if (!duplicates[w]) duplicates[w] = [];
+        duplicates[w].push(e.rank);
+        continue;
+      }
+
+      rows[e._key] = [
+        e.rank,
+        e.lastWeek,
+        e.peak,
+        e.weeks,
+        weekIdx.get(e.debutDate),
+        weekIdx.get(e.peakDate),
+        e.movement.type,
+        e.movement.value
+      ];
+
+      // Latest spelling / cover wins, same as the catalog
+      const info = state.songInfo.get(e._key);
+      if (!songs[e._key]) songs[e._key] = { title: "", artist: "", cover: "", history: [] };
+      const song = songs[e._key];
+      song.title = info?.title || e.title;
+      song.artist = info?.artist || e.artist;
+      song.cover = info?.cover || "";
+      song.history.push([weekIdx.get(w), e.rank, e.points, e.listeners]);
+    }
+
+    byWeek[w] = rows;
+  });
+
+  return {
+    version: DERIVED_INDEX_VERSION,
+    weeks: weeksAsc.slice(),
+    fields: INDEX_FIELDS,
+    aliases: Object.fromEntries([...songKeys.entries()].sort((a, b) => a[0].localeCompare(b[0]))),
+    duplicates,
+    songs,
+    byWeek
+  };
+}
+
+// The index is only usable if it was built from the same weeks (up to target)
+// and still agrees with the target week file we just fetched.
+function isDerivedIndexFresh(index, weeksAsc, targetWeek, weekData) {
+  if (!index || index.version !== DERIVED_INDEX_VERSION) return false;
+  if (!Array.isArray(index.weeks) || !index.byWeek || !index.songs) return false;
+
+  const t = weeksAsc.indexOf(targetWeek);
+  if (t < 0) return false;
+  for (let i = 0; i <= t; i++) {
+    if (index.weeks[i] !== weeksAsc[i]) return false;
+  }
+
+  const rows = index.byWeek[targetWeek];
+  if (!rows) return false;
+
+  const entries = Array.isArray(weekData?.entries) ? weekData.entries : [];
+  const dupRanks = index.duplicates?.[targetWeek] || [];
+  const seen = new Set();
+  let count = 0;
+  let dupCount = 0;
+  for (const raw of entries) {
+    const title = cleanTitle(raw.title);
+    const artist = cleanArtistName(raw.artist);
+    const rank = Number(raw.rank);
+    if (!title || !artist || !Number.isFinite(rank)) continue;
+
+    const key = indexSongKey(index, title, artist);
+    if (seen.has(key)) {
+      if (!dupRanks.includes(rank)) return false;
+      dupCount += 1;
+      continue;
+    }
+    seen.add(key);
+
+    const row = rows[key];
+    if (!row || row[0] !== rank) return false;
+    count += 1;
+  }
+
+  return count === Object.keys(rows).length && dupCount === dupRanks.length;
+}
+
+function indexSongKey(index, title, artist) {
+  const key = songKey(title, artist);
+  return index?.aliases?.[key] || key;
+}
+
+// Rebuild the buildDerived() state for one week straight from the index
+function derivedStateFromIndex(index, targetWeek) {
+  const weeks = index.weeks;
+  const t = weeks.indexOf(targetWeek);
+
+  const seenStats = new Map();
+  const historyMap = new Map();
+  const prevWeekRanks = new Map();
+  const songInfo = new Map();
+
+  for (const [key, row] of Object.entries(index.byWeek[targetWeek] || {})) {
+    seenStats.set(key, {
+      weeks: row[3],
+      peak: row[2],
+      debutDate: weeks[row[4]] ?? null,
+      peakDate: weeks[row[5]] ?? null
+    });
+  }
+
+  const prevWeek = t > 0 ? weeks[t - 1] : null;
+  for (const [key, row] of Object.entries((prevWeek && index.byWeek[prevWeek]) || {})) {
+    prevWeekRanks.set(key, row[0]);
+  }
+
+  for (const [key, song] of Object.entries(index.songs)) {
+    const hist = (song.history || [])
+      .filter(h => h[0] <= t)
+      .map(h => ({ week: weeks[h[0]], rank: h[1], points: h[2], listeners: h[3] }))
+      .sort((a, b) => b.week.localeCompare(a.week));
+    if (!hist.length) continue;
+
+    historyMap.set(key, hist);
+    songInfo.set(key, { title: song.title, artist: song.artist, cover: song.cover });
+  }
+
+  return { seenStats, historyMap, prevWeekRanks, songInfo, songKeys: new Map(Object.entries(index.aliases || {})) };
+}
+
+// data/songs.json is optional: no file = automatic merges only
+async function loadSongIdentity(loadData) {
+  try {
+    return buildSongIdentity(await loadData(SONG_IDENTITY_FILE));
+  } catch (e) {
+    return buildSongIdentity(null);
+  }
+}
+
+// ---------- Load + derive one week ----------
+// loadData(name) resolves a JSON file from the data dir (fetch in the browser,
+// fs in Node). Uses data/derived.json when it is fresh, otherwise fetches every
+// week up to targetWeek and runs buildDerived like before.
+async function loadChartWeek(loadData, weeksDesc, targetWeek) {
+  const weeksAsc = weeksDesc.slice().reverse();
+  const targetIdxAsc = weeksAsc.indexOf(targetWeek);
+  const neededWeeksAsc = weeksAsc.slice(0, targetIdxAsc + 1);
+
+  let weekData;
+  try {
+    weekData = await loadData(`${targetWeek}.json`);
+  } catch (e) {
+    // If the selected week file is missing, try latest.json as last resort
+    console.warn("Missing week file:", targetWeek, e);
+    weekData = await loadData("latest.json");
+  }
+  const rawEntries = Array.isArray(weekData?.entries) ? weekData.entries : [];
+
+  let index = null;
+  try {
+    index = await loadData(DERIVED_INDEX_FILE);
+  } catch (e) {
+    console.warn(`${DERIVED_INDEX_FILE} missing, scanning every week`, e);
+  }
+
+  if (isDerivedIndexFresh(index, neededWeeksAsc, targetWeek, weekData)) {
+    const state = derivedStateFromIndex(index, targetWeek);
+    return {
+      source: "index",
+      targetWeek,
+      weeksAsc: neededWeeksAsc,
+      weekData,
+      entries: deriveWeekEntries(rawEntries, targetWeek, state),
+      ...state
+    };
+  }
+
+  if (index) console.warn(`${DERIVED_INDEX_FILE} is stale, scanning every week`);
+
+  // Full scan: load every week up to targetWeek (chronological)
+  const weekDataByWeek = new Map([[targetWeek, weekData]]);
+  await Promise.all(neededWeeksAsc.map(async (w) => {
+    if (w === targetWeek) return;
+    try {
+      weekDataByWeek.set(w, await loadData(`${w}.json`));
+    } catch (e) {
+      console.warn("Missing week file:", w, e);
+      weekDataByWeek.set(w, { week: w, entries: [] });
+    }
+  }));
+
+  const state = buildDerived(neededWeeksAsc, weekDataByWeek, targetWeek, await loadSongIdentity(loadData));
+  return {
+    source: "scan",
+    targetWeek,
+    weeksAsc: neededWeeksAsc,
+    weekData,
+    entries: deriveWeekEntries(rawEntries, targetWeek, state),
+    ...state
+  };
+}
+
+// ---------- Song detail (song.html) ----------
+// Everything about one songKey across every week: stats, history, awards.
+// Awards are re-run per week from the index rows, the same way the chart
+// page computes them for the week it shows.
+
+// Minimal per-week entries (what computeAwardsForWeek needs) from index rows
+function weekEntriesFromIndex(index, week) {
+  const t = index.weeks.indexOf(week);
+  return Object.entries(index.byWeek[week] || {})
+    .map(([key, row]) => {
+      const song = index.songs[key] || {};
+      const hist = song.history || [];
+      const cur = hist.find(h => h[0] === t);
+      const prev = row[1] === null ? null : hist.find(h => h[0] === t - 1);
+      return {
+        _key: key,
+        artist: song.artist,
+        rank: row[0],
+        lastWeek: row[1],
+        peak: row[2],
+        weeks: row[3],
+        movement: { type: row[6], value: row[7] },
+        points: cur ? cur[2] : null,
+        listeners: cur ? cur[3] : null,
+        lastWeekPoints: prev ? prev[2] : null
+      };
+    })
+    .sort((a, b) => a.rank - b.rank);
+}
+
+// awardContext() for one index week
+function awardContextFromIndex(index, week, identity = null) {
+  const songInfo = new Map(Object.entries(index.songs || {}));
+  const historyMap = new Map([...songInfo.entries()].map(([key, song]) => [key, (song.history || []).map(h => ({ week: index.weeks[h[0]] }))]));
+  const songArtists = songLeadArtistIds(songInfo, identity);
+  return { week, firstWeek: index.weeks[0], artistFirstWeek: artistFirstWeeks(historyMap, songArtists), songArtists };
+}
+
+function weekAwardsFromIndex(index, week, identity = null) {
+  return computeAwardsForWeek(weekEntriesFromIndex(index, week), awardContextFromIndex(index, week, identity));
+}
+
+// Every award ever won: Map(songKey -> [{week, rank, id, text, cls}]) oldest first
+function awardHistoryFromIndex(index, identity = null) {
+  const out = new Map();
+  const ctx = awardContextFromIndex(index, null, identity);
+  for (const week of index.weeks) {
+    const entries = weekEntriesFromIndex(index, week);
+    const ranks = new Map(entries.map(e => [e._key, e.rank]));
+    for (const [key, won] of computeAwardsForWeek(entries, { ...ctx, week }).entries()) {
+      if (!out.has(key)) out.set(key, []);
+      for (const a of won) out.get(key).push({ week, rank: ranks.get(key), ...a });
+    }
+  }
+  return out;
+}
+
+// Award tally for every song credited to one artist (catalog / index spelling)
+// Every song the artist is credited on (lead or featured, see artistCredits)
+function artistAwardTally(index, artist, identity = null) {
+  const id = artistId(canonicalArtist(identity, artist));
+  const awards = [];
+  for (const [key, list] of awardHistoryFromIndex(index, identity).entries()) {
+    const song = index.songs[key];
+    if (!song || !artistCredits(identity, song.artist, song.title).some(c => c.id === id)) continue;
+    for (const a of list) awards.push({ ...a, key, title: song.title });
+  }
+  awards.sort((a, b) => a.week.localeCompare(b.week) || a.rank - b.rank);
+
+  const counts = new Map();
+  for (const a of awards) {
+    if (!counts.has(a.id)) counts.set(a.id, { id: a.id, cls: a.cls, name: AWARDS.find(x => x.id === a.id)?.name || a.text, count: 0 });
+    counts.get(a.id).count += 1;
+  }
+
+  return { total: awards.length, counts: [...counts.values()].sort((a, b) => b.count - a.count), awards };
+}
+
+// key may be a merged spelling's key (index.aliases); detail.key is the song's own
+// identity: buildArtistIdentity(data/artists.json), for the Top New Artist award
+function songDetailFromIndex(index, key, identity = null) {
+  key = index.aliases?.[key] || key;
+  const song = index.songs?.[key];
+  if (!song) return null;
+
+  const weeks = index.weeks;
+  const history = (song.history || [])
+    .map((h) => {
+      const row = index.byWeek[weeks[h[0]]]?.[key];
+      const movement = row ? { type: row[6], value: row[7] } : null;
+      return { week: weeks[h[0]], rank: h[1], points: h[2], listeners: h[3], movement };
+    })
+    .sort((a, b) => b.week.localeCompare(a.week));
+  if (!history.length) return null;
+
+  // Stats as of the song's latest chart week
+  const lastRow = index.byWeek[history[0].week]?.[key] || [];
+
+  const awards = [];
+  const ctx = awardContextFromIndex(index, null, identity);
+  for (const h of history.slice().reverse()) {
+    const won = computeAwardsForWeek(weekEntriesFromIndex(index, h.week), { ...ctx, week: h.week }).get(key) || [];
+    for (const a of won) awards.push({ week: h.week, rank: h.rank, ...a });
+  }
+
+  let totalPoints = null;
+  let bestPoints = null;
+  for (const h of history) {
+    if (h.points === null || h.points === undefined) continue;
+    totalPoints = (totalPoints || 0) + h.points;
+    if (!bestPoints || h.points > bestPoints.points) bestPoints = { week: h.week, points: h.points };
+  }
+
+  return {
+    key,
+    title: song.title,
+    artist: song.artist,
+    cover: song.cover,
+    debutDate: weeks[lastRow[4]] ?? history[history.length - 1].week,
+    peak: lastRow[2] ?? Math.min(...history.map(h => h.rank)),
+    peakDate: weeks[lastRow[5]] ?? null,
+    weeks: lastRow[3] ?? history.length,
+    lastWeek: history[0].week,
+    onLatestChart: history[0].week === weeks[weeks.length - 1],
+    totalPoints,
+    bestPoints,
+    history,
+    awards
+  };
+}
+
+// Like loadChartWeek: data/derived.json when it matches the newest week file,
+// otherwise every week is fetched and the index is built in memory.
+async function loadFullIndex(loadData, weeksDesc) {
+  const weeksAsc = weeksDesc.slice().reverse();
+  const latestWeek = weeksAsc[weeksAsc.length - 1];
+
+  let index = null;
+  try {
+    index = await loadData(DERIVED_INDEX_FILE);
+  } catch (e) {
+    console.warn(`${DERIVED_INDEX_FILE} missing, scanning every week`, e);
+  }
+
+  let fresh = false;
+  if (index && index.weeks?.join() === weeksAsc.join()) {
+    const latestData = await loadData(`${latestWeek}.json`).catch(() => null);
+    fresh = isDerivedIndexFresh(index, weeksAsc, latestWeek, latestData);
+  }
+
+  let source = "index";
+  if (!fresh) {
+    if (index) console.warn(`${DERIVED_INDEX_FILE} is stale, scanning every week`);
+    const weekDataByWeek = new Map();
+    await Promise.all(weeksAsc.map(async (w) => {
+      try {
+        weekDataByWeek.set(w, await loadData(`${w}.json`));
+      } catch (e) {
+        console.warn("Missing week file:", w, e);
+        weekDataByWeek.set(w, { week: w, entries: [] });
+      }
+    }));
+    index = buildDerivedIndex(weeksAsc, weekDataByWeek, await loadSongIdentity(loadData));
+    source = "scan";
+  }
+
+  return { source, weeksAsc, index };
+}
+
+async function loadSongDetail(loadData, weeksDesc, key, identity = null) {
+  const loaded = await loadFullIndex(loadData, weeksDesc);
+  return { ...loaded, song: songDetailFromIndex(loaded.index, key, identity) };
+}
+
+// ---------- Search (songs + artists across every week) ----------
+// Matching ignores case, accents and punctuation, and allows a typo or two
+// in longer words. Lower score = better match.
+
+const SEARCH_LIMITS = { artists: 6, songs: 8 };
+
+function searchFold(s) {
+  return String(s ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+// Edit distance (adjacent swaps count as one) capped at max + 1
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        cur[j] = Math.min(cur[j], prev2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, cur[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function typoAllowance(word) {
+  if (word.length >= 8) return 2;
+  if (word.length >= 4) return 1;
+  return 0;
+}
+
+// One query word against the target's words: 0 prefix, 1 inside, 2+ typo
+function searchWordScore(words, q) {
+  let best = null;
+  const max = typoAllowance(q);
+  for (const w of words) {
+    let s = null;
+    if (w.startsWith(q)) s = 0;
+    else if (w.includes(q)) s = 1;
+    else if (max) {
+      // Typed so far vs. the same length of the word, or the whole word
+      const d = Math.min(editDistance(q, w.slice(0, q.length), max), editDistance(q, w, max));
+      if (d <= max) s = 1 + d;
+    }
+    if (s !== null && (best === null || s < best)) best = s;
+  }
+  return best;
+}
+
+function searchScore(target, q) {
+  if (!q || !target) return null;
+  if (target === q) return 0;
+  if (target.startsWith(q)) return 1;
+  if ((" " + target).includes(" " + q)) return 2;
+  if (target.includes(q)) return 3;
+
+  // Every query word has to match some word of the target
+  const words = target.split(" ");
+  let total = 0;
+  for (const qw of q.split(" ")) {
+    const s = searchWordScore(words, qw);
+    if (s === null) return null;
+    total += s;
+  }
+  return 4 + total;
+}
+
+// Built from the derived index (core.js loadFullIndex), so every week counts.
+// Artists come from artistCredits, so featured artists are found too.
+function buildSearchIndex(index, identity = null) {
+  const songs = [];
+  const artists = new Map();
+
+  for (const [key, s] of Object.entries(index?.songs || {})) {
+    const hist = s.history || [];
+    if (!hist.length) continue;
+    const peak = Math.min(...hist.map(h => h[1]));
+
+    songs.push({
+      key,
+      title: s.title,
+      artist: s.artist,
+      cover: s.cover || "",
+      peak,
+      weeks: hist.length,
+      fold: searchFold(s.title),
+      foldFull: searchFold(`${s.title} ${s.artist}`)
+    });
+
+    for (const credit of artistCredits(identity, s.artist, s.title)) {
+      if (!artists.has(credit.id)) {
+        artists.set(credit.id, { name: credit.name, songs: 0, peak, weekSet: new Set(), fold: searchFold(credit.name) });
+      }
+      const a = artists.get(credit.id);
+      a.songs += 1;
+      a.peak = Math.min(a.peak, peak);
+      for (const h of hist) a.weekSet.add(h[0]);
+    }
+  }
+
+  return {
+    songs,
+    artists: [...artists.values()].map(({ weekSet, ...a }) => ({ ...a, weeks: weekSet.size }))
+  };
+}
+
+function rankSearchHits(hits, limit) {
+  return hits
+    .sort((a, b) => (a.score - b.score) || (a.item.peak - b.item.peak) || (b.item.weeks - a.item.weeks))
+    .slice(0, limit)
+    .map(h => h.item);
+}
+
+// { artists: [...], songs: [...] }, best first within each group
+function runSearch(searchIndex, query, limits = SEARCH_LIMITS) {
+  const q = searchFold(query);
+  if (!q || !searchIndex) return { artists: [], songs: [] };
+
+  const artistHits = [];
+  for (const a of searchIndex.artists) {
+    const score = searchScore(a.fold, q);
+    if (score !== null) artistHits.push({ item: a, score });
+  }
+
+  // Title first; "title artist" as a fallback so "espresso sabrina" works
+  const songHits = [];
+  for (const s of searchIndex.songs) {
+    const byTitle = searchScore(s.fold, q);
+    const byFull = searchScore(s.foldFull, q);
+    const score = byTitle ?? (byFull === null ? null : byFull + 1);
+    if (score !== null) songHits.push({ item: s, score });
+  }
+
+  return {
+    artists: rankSearchHits(artistHits, limits.artists),
+    songs: rankSearchHits(songHits, limits.songs)
+  };
+}
+
+// ---------- Records (records.html) ----------
+// All-time records over the whole index. Every row carries the week it
+// happened (week, plus weekEnd for runs), a song and an artist so the page
+// can link all three. Ties keep the earlier week.
+// Artist records count every credited artist (artistCredits: lead + featured,
+// same as the artist pages), named as in data/artists.json or else the
+// spelling of their latest song.
+const RECORD_LIMIT = 10;
+
+function topRecords(rows, cmp, limit) {
+  return rows.sort((a, b) => cmp(a, b) || a.week.localeCompare(b.week)).slice(0, limit);
+}
+
+function buildRecords(index, limit = RECORD_LIMIT, identity = null) {
+  const weeks = index.weeks;
+  const songs = Object.entries(index.songs || {}).map(([key, s]) => ({
+    key,
+    title: s.title,
+    artist: s.artist,
+    history: (s.history || []).slice().sort((a, b) => a[0] - b[0])
+  }));
+
+  const creditIds = new Map();   // songKey -> [artistId]
+  const artistNames = new Map(); // artistId -> { name, latest }
+  for (const song of songs) {
+    const latest = song.history.length ? song.history[song.history.length - 1][0] : -1;
+    const credits = artistCredits(identity, song.artist, song.title);
+    creditIds.set(song.key, credits.map(c => c.id));
+    for (const c of credits) {
+      const cur = artistNames.get(c.id);
+      if (!cur || latest > cur.latest) artistNames.set(c.id, { name: c.name, latest });
+    }
+  }
+
+  const songRow = (song, value, week, extra = {}) => ({
+    value, week, key: song.key, title: song.title, artist: song.artist, ...extra
+  });
+
+  const atNo1 = [];
+  const runs = [];
+  const totals = [];
+  const climbs = [];
+  const artistNo1s = new Map();
+  const artistTop10s = new Map();
+
+  for (const song of songs) {
+    const h = song.history;
+    if (!h.length) continue;
+
+    const no1 = h.filter(x => x[1] === 1);
+    if (no1.length) {
+      atNo1.push(songRow(song, no1.length, weeks[no1[0][0]], { weekEnd: weeks[no1[no1.length - 1][0]] }));
+      // Debut -> first #1 in chart weeks; #1 debuts didn't climb, and the
+      // first chart week has no real debuts
+      const climb = no1[0][0] - h[0][0];
+      if (climb > 0 && h[0][0] > 0) climbs.push(songRow(song, climb, weeks[no1[0][0]], { debutWeek: weeks[h[0][0]], from: h[0][1] }));
+    }
+
+    totals.push(songRow(song, h.length, weeks[h[0][0]], { weekEnd: weeks[h[h.length - 1][0]] }));
+
+    // Longest unbroken run of consecutive chart weeks
+    let best = null;
+    let start = 0;
+    for (let i = 1; i <= h.length; i++) {
+      if (i < h.length && h[i][0] === h[i - 1][0] + 1) continue;
+      const len = i - start;
+      if (!best || len > best.len) best = { len, from: h[start][0], to: h[i - 1][0] };
+      start = i;
+    }
+    runs.push(songRow(song, best.len, weeks[best.from], { weekEnd: weeks[best.to] }));
+
+    const firstTop10 = h.find(x => x[1] <= 10);
+    for (const [map, first] of [[artistNo1s, no1[0]], [artistTop10s, firstTop10]]) {
+      if (!first) continue;
+      for (const id of creditIds.get(song.key)) {
+        if (!map.has(id)) map.set(id, []);
+        map.get(id).push({ key: song.key, title: song.title, week: weeks[first[0]] });
+      }
+    }
+  }
+
+  // Week-by-week records: moves (same rule as the weekly awards) and crowding
+  const jumps = [];
+  const falls = [];
+  const crowds = [];
+  for (const w of weeks) {
+    const byArtist = new Map();
+    for (const [key, row] of Object.entries(index.byWeek[w] || {})) {
+      const s = index.songs[key];
+      if (!s) continue;
+      const song = { key, title: s.title, artist: s.artist };
+      const mvType = normalizeMovementType(row[6]);
+
+      if (mvType === "up" && typeof row[7] === "number") jumps.push(songRow(song, Math.abs(row[7]), w, { rank: row[0], from: row[1] }));
+      if (mvType === "down" && typeof row[7] === "number") falls.push(songRow(song, Math.abs(row[7]), w, { rank: row[0], from: row[1] }));
+
+      for (const id of creditIds.get(key) || []) {
+        if (!byArtist.has(id)) byArtist.set(id, []);
+        byArtist.get(id).push({ ...song, rank: row[0] });
+      }
+    }
+    for (const [id, list] of byArtist.entries()) {
+      // Linked song: the artist's best-placed entry that week
+      const top = list.reduce((a, b) => (b.rank < a.rank ? b : a));
+      crowds.push({ value: list.length, week: w, key: top.key, title: top.title, artist: artistNames.get(id).name, rank: top.rank });
+    }
+  }
+
+  // Artist tallies link the week and song of the artist's first qualifying song
+  const artistRows = (map) => [...map.entries()].map(([id, list]) => {
+    const sorted = list.slice().sort((a, b) => a.week.localeCompare(b.week));
+    return { value: sorted.length, week: sorted[0].week, key: sorted[0].key, title: sorted[0].title, artist: artistNames.get(id).name, songs: sorted };
+  });
+
+  const desc = (a, b) => b.value - a.value;
+  const asc = (a, b) => a.value - b.value;
+
+  return [
+    { id: "weeksAtNo1", label: "Most weeks at #1", unit: "week(s) at #1", rows: topRecords(atNo1, desc, limit) },
+    { id: "longestRun", label: "Longest consecutive chart run", unit: "week(s) in a row", rows: topRecords(runs, desc, limit) },
+    { id: "mostWeeks", label: "Most weeks on chart", unit: "week(s)", rows: topRecords(totals, desc, limit) },
+    { id: "biggestJump", label: "Biggest single-week jump", unit: "places up", rows: topRecords(jumps, desc, limit) },
+    { id: "biggestFall", label: "Biggest single-week fall", unit: "places down", rows: topRecords(falls, desc, limit) },
+    { id: "fastestNo1", label: "Fastest climb to #1", unit: "week(s) after debut", rows: topRecords(climbs, asc, limit) },
+    { id: "simultaneous", label: "Most simultaneous entries", unit: "songs in one week", rows: topRecords(crowds, desc, limit) },
+    { id: "artistNo1s", label: "Artists with the most #1s", unit: "#1 song(s)", rows: topRecords(artistRows(artistNo1s), desc, limit) },
+    { id: "artistTop10s", label: "Artists with the most top 10s", unit: "top 10 song(s)", rows: topRecords(artistRows(artistTop10s), desc, limit) }
+  ];
+}
+
+// ---------- Period charts (?period=2025 | 2026-Q1 | 2026-03 | all) ----------
+// Every charted week in the period scores its points, or CHART_SIZE + 1 - rank
+// when the week has no points for that entry (#1 = 100 ... #100 = 1).
+// Songs rank by total score, then best peak, then weeks in the period.
+const PERIOD_ALL = "all";
+const MONTH_NAMES = ["January", "February", "March", "April", "May", "June",
+  "July", "August", "September", "October", "November", "December"];
+
+// Weeks are grouped by the YYYY-MM-DD date in their name
+function periodOfWeek(week, kind) {
+  const y = week.slice(0, 4);
+  const m = Number(week.slice(5, 7));
+  if (kind === "year") return y;
+  if (kind === "quarter") return `${y}-Q${Math.ceil(m / 3)}`;
+  return week.slice(0, 7);
+}
+
+function periodKind(period) {
+  const p = String(period ?? "");
+  if (p === PERIOD_ALL) return "all";
+  if (/^\d{4}$/.test(p)) return "year";
+  if (/^\d{4}-Q[1-4]$/.test(p)) return "quarter";
+  if (/^\d{4}-(0[1-9]|1[0-2])$/.test(p)) return "month";
+  return null;
+}
+
+function periodWeeks(weeksAsc, period) {
+  const kind = periodKind(period);
+  if (!kind) return [];
+  if (kind === "all") return weeksAsc.slice();
+  return weeksAsc.filter(w => periodOfWeek(w, kind) === period);
+}
+
+function periodLabel(period) {
+  const kind = periodKind(period);
+  if (kind === "all") return "All-time";
+  if (kind === "year") return `${period} year-end`;
+  if (kind === "quarter") return `${period.slice(5)} ${period.slice(0, 4)} recap`;
+  if (kind === "month") return `${MONTH_NAMES[Number(period.slice(5)) - 1]} ${period.slice(0, 4)} recap`;
+  return String(period ?? "");
+}
+
+// Every period with at least one week, newest first, for the period picker
+function listPeriods(weeksDesc) {
+  const out = { years: [], quarters: [], months: [] };
+  for (const w of weeksDesc) {
+    for (const [kind, list] of [["year", out.years], ["quarter", out.quarters], ["month", out.months]]) {
+      const p = periodOfWeek(w, kind);
+      if (list[list.length - 1] !== p) list.push(p);
+    }
+  }
+  return out;
+}
+
+function periodScore(h) {
+  return typeof h.points === "number" ? h.points : CHART_SIZE + 1 - h.rank;
+}
+
+// historyMap / songInfo as returned by buildDerived for the latest week
+function buildPeriodChart(historyMap, songInfo, weeksAsc, period) {
+  const inPeriod = new Set(weeksAsc);
+  const rows = [];
+
+  for (const [key, hist] of historyMap.entries()) {
+    const info = songInfo.get(key);
+    if (!info) continue;
+
+    // historyMap is DESC; the debut is the oldest week overall, not just this period
+    const all = hist.slice().sort((a, b) => a.week.localeCompare(b.week));
+    const own = all.filter(h => inPeriod.has(h.week));
+    if (!own.length) continue;
+
+    let score = 0;
+    let points = null;
+    let peak = own[0].rank;
+    let peakDate = own[0].week;
+    let weeksAtNo1 = 0;
+    let top10Weeks = 0;
+
+    for (const h of own) {
+      score += periodScore(h);
+      if (typeof h.points === "number") points = (points ?? 0) + h.points;
+      if (h.rank < peak) {
+        peak = h.rank;
+        peakDate = h.week;
+      }
+      if (h.rank === 1) weeksAtNo1 += 1;
+      if (h.rank <= 10) top10Weeks += 1;
+    }
+
+    rows.push({
+      _key: key,
+      title: info.title,
+      artist: info.artist,
+      cover: info.cover,
+      period,
+      score,
+      points,
+      listeners: null,
+      pointsChange: null,
+      lastWeek: null,
+      movement: null,
+      weeks: own.length,
+      peak,
+      peakDate,
+      weeksAtNo1,
+      top10Weeks,
+      debutDate: all[0].week,
+      debutRank: all[0].rank,
+      debutInPeriod: inPeriod.has(all[0].week),
+      history: own.slice().reverse()
+    });
+  }
+
+  rows.sort((a, b) =>
+    (b.score - a.score) ||
+    (a.peak - b.peak) ||
+    (b.weeks - a.weeks) ||
+    a.title.localeCompare(b.title)
+  );
+  rows.forEach((r, i) => { r.rank = i + 1; });
+  return rows;
+}
+
+// Period awards use the same registry engine; period entries are sorted,
+// so the default tie-break keeps the higher period rank
+const PERIOD_AWARDS = [
+  {
+    id: "periodNo1",
+    name: "Most Weeks at #1",
+    cls: "awardNo1",
+    best: "max",
+    value: e => (e.weeksAtNo1 > 0 ? e.weeksAtNo1 : null),
+    label: w => `Most Weeks at #1 (${w.value})`
+  },
+  {
+    id: "periodDebut",
+    name: "Biggest Debut",
+    cls: "awardDebut",
+    best: "min",
+    value: e => (e.debutInPeriod ? e.debutRank : null),
+    label: w => `Biggest Debut (#${w.value})`
+  },
+  {
+    id: "periodWeeks",
+    name: "Most Weeks Charted",
+    cls: "awardSitter",
+    best: "max",
+    value: e => e.weeks,
+    label: w => `Most Weeks Charted (${w.value})`
+  }
+];
+
+function computePeriodAwards(entries) {
+  return runAwards(PERIOD_AWARDS, entries);
+}
+
+// Artists ranked by the summed score of their songs in the period
+// Every credited artist gets full credit for the song (groupByArtistCredits)
+function periodTopArtists(entries, identity = null) {
+  const out = [];
+  for (const { name, items } of groupByArtistCredits(entries, identity).values()) {
+    const a = { artist: name, score: 0, songs: 0, weeks: 0, top10Weeks: 0, weeksAtNo1: 0, bestPeak: items[0].peak };
+    for (const e of items) {
+      a.score += e.score;
+      a.songs += 1;
+      a.weeks += e.weeks;
+      a.top10Weeks += e.top10Weeks;
+      a.weeksAtNo1 += e.weeksAtNo1;
+      a.bestPeak = Math.min(a.bestPeak, e.peak);
+    }
+    out.push(a);
+  }
+
+  out.sort((a, b) =>
+    (b.score - a.score) ||
+    (a.bestPeak - b.bestPeak) ||
+    a.artist.localeCompare(b.artist)
+  );
+  out.forEach((a, i) => { a.rank = i + 1; });
+  return out;
+}
+
+// The period's #1s in chart order; back-to-back weeks fold into one run
+function periodNumberOnes(historyMap, songInfo, weeksAsc) {
+  const topByWeek = new Map();
+  for (const [key, hist] of historyMap.entries()) {
+    for (const h of hist) {
+      if (h.rank === 1) topByWeek.set(h.week, key);
+    }
+  }
+
+  const runs = [];
+  weeksAsc.forEach((w, i) => {
+    const key = topByWeek.get(w);
+    if (!key) return;
+    const last = runs[runs.length - 1];
+    if (last && last.key === key && last.lastWeek === weeksAsc[i - 1]) {
+      last.weeks += 1;
+      last.lastWeek = w;
+      return;
+    }
+    const info = songInfo.get(key) || {};
+    runs.push({ key, title: info.title, artist: info.artist, cover: info.cover, firstWeek: w, lastWeek: w, weeks: 1 });
+  });
+  return runs;
+}
+
+// Aggregate chart for a period. Returns null when no week falls in it.
+// identity: buildArtistIdentity(data/artists.json), for the top artists
+async function loadPeriodChart(loadData, weeksDesc, period, identity = null) {
+  const weeksAsc = periodWeeks(weeksDesc.slice().reverse(), period);
+  if (!weeksAsc.length) return null;
+
+  // The latest week's state carries every song's full history
+  const loaded = await loadChartWeek(loadData, weeksDesc, weeksDesc[0]);
+  const entries = buildPeriodChart(loaded.historyMap, loaded.songInfo, weeksAsc, period);
+
+  return {
+    source: loaded.source,
+    period,
+    label: periodLabel(period),
+    weeksAsc,
+    entries,
+    awards: computePeriodAwards(entries),
+    artists: periodTopArtists(entries, identity),
+    numberOnes: periodNumberOnes(loaded.historyMap, loaded.songInfo, weeksAsc),
+    historyMap: loaded.historyMap,
+    songInfo: loaded.songInfo
+  };
+}
+
+// ---------- Album chart (albums.html, album.html) ----------
+// data/albums.json (scripts/build-albums.js) maps songKey -> album from the
+// Last.fm track cache. Each week an album scores the sum of its songs'
+// periodScore (points, or CHART_SIZE + 1 − rank without points); albums
+// then get their own LW / peak / weeks like songs do.
+const ALBUMS_FILE = "albums.json";
+
+function albumKey(title, artist) {
+  const t = cleanTitle(title).toLowerCase();
+  const a = cleanArtistName(artist).toLowerCase();
+  return `${a} — ${t}`.trim();
+}
+
+function buildAlbumCharts(index, albumsData) {
+  const weeks = index?.weeks || [];
+  const albumOf = albumsData?.songs || {};
+  const albumInfo = albumsData?.albums || {};
+
+  // weekIdx -> [{ key, title, rank, points }] for songs that have an album
+  const songsByWeek = weeks.map(() => []);
+  for (const [key, song] of Object.entries(index?.songs || {})) {
+    if (!albumOf[key] || !albumInfo[albumOf[key]]) continue;
+    for (const h of song.history || []) {
+      songsByWeek[h[0]]?.push({ key, title: song.title, rank: h[1], points: h[2] });
+    }
+  }
+
+  const albums = new Map();   // id -> { id, title, artist, image, url, history[] }
+  const byWeek = new Map();   // week -> ranked entries
+  let prevRanks = new Map();
+
+  weeks.forEach((week, i) => {
+    const totals = new Map();
+    for (const s of songsByWeek[i]) {
+      const id = albumOf[s.key];
+      if (!totals.has(id)) totals.set(id, { id, score: 0, points: null, songs: [] });
+      const t = totals.get(id);
+      t.score += periodScore(s);
+      if (typeof s.points === "number") t.points = (t.points || 0) + s.points;
+      t.songs.push(s);
+    }
+
+    const ranked = [...totals.values()]
+      .map(t => ({ ...t, songs: t.songs.sort(byChartRank), best: Math.min(...t.songs.map(s => s.rank)) }))
+      .sort((a, b) => (b.score - a.score) || (a.best - b.best) || a.id.localeCompare(b.id));
+
+    const thisRanks = new Map();
+    const entries = ranked.map((t, n) => {
+      const rank = n + 1;
+      thisRanks.set(t.id, rank);
+
+      if (!albums.has(t.id)) albums.set(t.id, { id: t.id, ...albumInfo[t.id], history: [] });
+      const album = albums.get(t.id);
+      const before = album.history;
+      const lastWeek = prevRanks.get(t.id) ?? null;
+
+      let movement;
+      if (!before.length) movement = { type: "new", value: null };
+      else if (lastWeek === null) movement = { type: "re", value: null };
+      else if (lastWeek > rank) movement = { type: "up", value: lastWeek - rank };
+      else if (lastWeek < rank) movement = { type: "down", value: rank - lastWeek };
+      else movement = { type: "same", value: 0 };
+
+      before.push({ week, rank, score: t.score, points: t.points, songs: t.songs.length });
+      const peak = Math.min(...before.map(h => h.rank));
+
+      return {
+        id: t.id,
+        title: album.title,
+        artist: album.artist,
+        image: album.image,
+        rank,
+        lastWeek,
+        peak,
+        peakDate: before.find(h => h.rank === peak).week,
+        weeks: before.length,
+        debutDate: before[0].week,
+        movement,
+        score: t.score,
+        points: t.points,
+        songs: t.songs
+      };
+    });
+
+    byWeek.set(week, entries);
+    prevRanks = thisRanks;
+  });
+
+  return { weeks, byWeek, albums };
+}
+
+// One album's page: history newest first + every charting song on it
+function albumDetail(charts, index, albumsData, id) {
+  const album = charts.albums.get(id);
+  if (!album) return null;
+
+  const history = album.history.slice().reverse();
+  const peak = Math.min(...history.map(h => h.rank));
+  const songs = Object.entries(albumsData?.songs || {})
+    .filter(([key, albumId]) => albumId === id && index.songs[key])
+    .map(([key]) => {
+      const hist = index.songs[key].history || [];
+      return {
+        key,
+        title: index.songs[key].title,
+        artist: index.songs[key].artist,
+        peak: Math.min(...hist.map(h => h[1])),
+        weeks: hist.length,
+        debutDate: index.weeks[hist[0]?.[0]] ?? null
+      };
+    })
+    .sort((a, b) => (a.peak - b.peak) || (b.weeks - a.weeks) || a.title.localeCompare(b.title));
+
+  return {
+    ...album,
+    history,
+    peak,
+    peakDate: album.history.find(h => h.rank === peak).week,
+    weeks: history.length,
+    debutDate: album.history[0].week,
+    songs
+  };
+}
+
+// Like loadFullIndex, plus data/albums.json. null when there is no albums file.
+async function loadAlbumCharts(loadData, weeksDesc) {
+  const [loaded, albumsData] = await Promise.all([
+    loadFullIndex(loadData, weeksDesc),
+    loadData(ALBUMS_FILE).catch((e) => {
+      console.warn(`${ALBUMS_FILE} missing, no album chart`, e);
+      return null;
+    })
+  ]);
+  if (!albumsData) return null;
+  return { ...loaded, albumsData, ...buildAlbumCharts(loaded.index, albumsData) };
+}
+
+// ---------- Last.fm track info (expand panel, song pages) ----------
+// data/trackinfo.json (scripts/build-trackinfo.js): songKey -> { url, mbid,
+// artistMbid, album, duration (seconds), listeners, playcount, tags }.
+// Global Last.fm numbers, next to our own per-week chart listeners.
+const TRACKINFO_FILE = "trackinfo.json";
+
+// songKey -> info map; an empty one when there is no file
+async function loadTrackInfo(loadData) {
+  const data = await loadData(TRACKINFO_FILE).catch((e) => {
+    console.warn(`${TRACKINFO_FILE} missing, no Last.fm track info`, e);
+    return null;
+  });
+  return data?.songs || {};
+}
+
+// ---------- Tags (tags.html, chart ?tag= filter) ----------
+// A song's tags come from, in order:
+//   1. data/tags.json "songs" (songKey -> tags), which replaces the rest
+//   2. its Last.fm top tags (data/trackinfo.json), renamed through
+//      "aliases" and without anything listed in "ignore"
+//   3. data/tags.json "artists" (name -> tags) for every credited artist,
+//      only when 1 and 2 found nothing
+// A song counts once for each of its tags, so shares don't add up to 100%.
+const TAGS_FILE = "tags.json";
+const TAG_TREND_LIMIT = 8;
+
+function tagName(tag) {
+  return String(tag ?? "").toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+function buildTagTable(table, identity) {
+  const aliases = new Map(Object.entries(table?.aliases || {}).map(([from, to]) => [tagName(from), tagName(to)]));
+  const list = (v) => [...new Set((Array.isArray(v) ? v : []).map(tagName).filter(Boolean).map(t => aliases.get(t) || t))];
+
+  return {
+    aliases,
+    ignore: new Set((Array.isArray(table?.ignore) ? table.ignore : []).map(tagName)),
+    songs: new Map(Object.entries(table?.songs || {}).map(([key, tags]) => [key, list(tags)])),
+    artists: new Map(Object.entries(table?.artists || {}).map(([name, tags]) => [artistId(canonicalArtist(identity, name)), list(tags)]))
+  };
+}
+
+function songTags(tagTable, trackInfo, identity, key, artist, title) {
+  if (tagTable.songs.has(key)) return tagTable.songs.get(key);
+
+  const lastfm = (trackInfo?.[key]?.tags || [])
+    .map(tagName)
+    .map(t => tagTable.aliases.get(t) || t)
+    .filter(t => t && !tagTable.ignore.has(t));
+  if (lastfm.length) return [...new Set(lastfm)];
+
+  const fromArtists = artistCredits(identity, artist, title).flatMap(c => tagTable.artists.get(c.id) || []);
+  return [...new Set(fromArtists)];
+}
+
+// tagData: loadTagData result -> (songKey, artist, title) => tags, memoised per song
+function buildTagLookup(tagData, identity) {
+  const tagTable = buildTagTable(tagData?.table, identity);
+  const cache = new Map();
+  return (key, artist, title) => {
+    if (!cache.has(key)) cache.set(key, songTags(tagTable, tagData?.trackInfo, identity, key, artist, title));
+    return cache.get(key);
+  };
+}
+
+// entries: one week's chart ({ _key, title, artist, rank, points }), any order
+// -> [{ tag, count, share, points, songs (by rank) }], most songs first
+function tagBreakdown(entries, tagsOf) {
+  const byTag = new Map();
+  for (const e of entries) {
+    for (const tag of tagsOf(e._key, e.artist, e.title)) {
+      if (!byTag.has(tag)) byTag.set(tag, { tag, count: 0, points: null, songs: [] });
+      const t = byTag.get(tag);
+      t.count += 1;
+      if (typeof e.points === "number") t.points = (t.points || 0) + e.points;
+      t.songs.push(e);
+    }
+  }
+
+  const size = entries.length || 1;
+  return [...byTag.values()]
+    .map(t => ({ ...t, share: t.count / size, songs: t.songs.sort(byChartRank) }))
+    .sort((a, b) => (b.count - a.count) || (a.songs[0].rank - b.songs[0].rank) || a.tag.localeCompare(b.tag));
+}
+
+// Every week's chart from data/derived.json, in the shape tagBreakdown wants
+function indexWeekEntries(index) {
+  const byWeek = (index?.weeks || []).map(() => []);
+  for (const [key, song] of Object.entries(index?.songs || {})) {
+    for (const h of song.history || []) {
+      byWeek[h[0]]?.push({ _key: key, title: song.title, artist: song.artist, cover: song.cover, rank: h[1], points: h[2] });
+    }
+  }
+  return byWeek.map(list => list.sort(byChartRank));
+}
+
+// Share of each week's chart per tag, oldest week first.
+// -> { weeks, sizes, weekEntries, tags: [{ tag, counts, total, weeksCharted }] }
+// (tags with the most song-weeks first)
+function buildTagTrends(index, tagsOf) {
+  const weeks = index?.weeks || [];
+  const weekEntries = indexWeekEntries(index);
+  const trends = new Map();
+
+  weekEntries.forEach((entries, i) => {
+    for (const t of tagBreakdown(entries, tagsOf)) {
+      if (!trends.has(t.tag)) trends.set(t.tag, { tag: t.tag, counts: weeks.map(() => 0), total: 0, weeksCharted: 0 });
+      const trend = trends.get(t.tag);
+      trend.counts[i] = t.count;
+      trend.total += t.count;
+      trend.weeksCharted += 1;
+    }
+  });
+
+  return {
+    weeks,
+    sizes: weekEntries.map(list => list.length),
+    weekEntries,
+    tags: [...trends.values()].sort((a, b) => (b.total - a.total) || a.tag.localeCompare(b.tag))
+  };
+}
+
+// Last.fm tags (data/trackinfo.json) + the committed overrides (data/tags.json);
+// either file may be missing
+async function loadTagData(loadData) {
+  const [trackInfo, table] = await Promise.all([
+    loadTrackInfo(loadData),
+    loadData(TAGS_FILE).catch((e) => {
+      console.warn(`${TAGS_FILE} missing, Last.fm tags only`, e);
+      return null;
+    })
+  ]);
+  return { trackInfo, table };
+}
+
+// ---------- Chart export (chart page menu, scripts/export-week.js) ----------
+// One derived week (loadChartWeek entries + computeAwardsForWeek) as CSV,
+// JSON, a Markdown table or Discord messages. The page and the CLI both go
+// through exportWeekRows, so an export always matches the rendered chart.
+const EXPORT_FORMATS = {
+  csv: { label: "CSV", ext: "csv", type: "text/csv" },
+  json: { label: "JSON", ext: "json", type: "application/json" },
+  markdown: { label: "Markdown", ext: "md", type: "text/markdown" },
+  discord: { label: "Discord text", ext: "txt", type: "text/plain" }
+};
+const EXPORT_COLUMNS = ["rank", "movement", "title", "artist", "lastWeek", "peak", "weeks", "points", "awards"];
+const DISCORD_MESSAGE_LIMIT = 2000;
+
+// awardsMap: computeAwardsForWeek result (songKey -> [{ text }])
+function exportWeekRows(entries, awardsMap) {
+  return entries.slice().sort(byChartRank).map(e => ({
+    rank: e.rank,
+    movement: { type: normalizeMovementType(e.movement?.type) || null, value: e.movement?.value ?? null },
+    title: e.title,
+    artist: e.artist,
+    lastWeek: e.lastWeek ?? null,
+    peak: e.peak ?? null,
+    weeks: e.weeks ?? null,
+    points: typeof e.points === "number" ? e.points : null,
+    awards: e.duplicateOf ? [] : (awardsMap?.get(e._key) || []).map(a => a.text)
+  }));
+}
+
+// "NEW", "RE", "▲ 3", "▼ 2", "—" (same as the chart's badges)
+function exportMoveText(mv) {
+  if (mv?.type === "new") return "NEW";
+  if (mv?.type === "re") return "RE";
+  if (mv?.type === "up") return `▲ ${Math.abs(mv.value ?? 0)}`;
+  if (mv?.type === "down") return `▼ ${Math.abs(mv.value ?? 0)}`;
+  return "—";
+}
+
+function exportCell(row, col) {
+  if (col === "movement") return exportMoveText(row.movement);
+  if (col === "awards") return row.awards.join("; ");
+  return row[col] === null || row[col] === undefined ? "" : String(row[col]);
+}
+
+// Text starting with = + - @ (or a tab / CR) would run as a formula in
+// Excel / Sheets, so it gets a leading "'"; plain numbers are left alone
+function csvCell(v) {
+  return /^[=+\-@\t\r]/.test(v) && !/^-?\d+(\.\d+)?$/.test(v) ? `'${v}` : v;
+}
+
+function exportCsv(rows) {
+  const quote = (raw) => {
+    const v = csvCell(raw);
+    return /[",\r\n]/.test(v) ? `"${v.replaceAll('"', '""')}"` : v;
+  };
+  const lines = [EXPORT_COLUMNS.join(",")]
+    .concat(rows.map(r => EXPORT_COLUMNS.map(c => quote(exportCell(r, c))).join(",")));
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+function exportJson(week, rows) {
+  return `${JSON.stringify({ chart: "Nabnation Top 100", week, entries: rows }, null, 2)}\n`;
+}
+
+function exportMarkdown(week, rows) {
+  const cell = (v) => v.replaceAll("|", "\\|").replace(/\s+/g, " ");
+  const head = ["#", "Move", "Title", "Artist", "LW", "Peak", "Wks", "Pts", "Awards"];
+  const lines = [
+    `## Nabnation Top 100 — week of ${week}`,
+    "",
+    `| ${head.join(" | ")} |`,
+    `| ${head.map((h, i) => (i === 0 || (i >= 4 && i <= 7) ? "--:" : "---")).join(" | ")} |`
+  ].concat(rows.map(r => `| ${EXPORT_COLUMNS.map(c => cell(exportCell(r, c)) || (c === "awards" ? "" : "—")).join(" | ")} |`));
+  return `${lines.join("\n")}\n`;
+}
+
+// Discord markdown would eat *, _, ~, |, ` and > in titles
+function discordEscape(s) {
+  return String(s ?? "").replace(/([\\*_~|`>])/g, "\\$1");
+}
+
+// Whole lines per message, each message shorter than `limit` characters
+function splitMessages(lines, limit = DISCORD_MESSAGE_LIMIT) {
+  const max = limit - 1;
+  const messages = [];
+  let cur = "";
+  for (const raw of lines) {
+    const line = raw.length > max ? `${raw.slice(0, max - 1)}…` : raw;
+    if (cur && cur.length + 1 + line.length > max) {
+      messages.push(cur);
+      cur = "";
+    }
+    cur = cur ? `${cur}\n${line}` : line;
+  }
+  if (cur) messages.push(cur);
+  return messages;
+}
+
+// -> array of messages, each under DISCORD_MESSAGE_LIMIT
+function exportDiscord(week, rows, limit = DISCORD_MESSAGE_LIMIT) {
+  const lines = [`**Nabnation Top 100 — week of ${week}**`].concat(rows.map((r) => {
+    const stats = [
+      exportMoveText(r.movement),
+      r.lastWeek !== null ? `LW ${r.lastWeek}` : "",
+      `peak ${r.peak ?? "—"}`,
+      `${r.weeks ?? "—"} wk`,
+      r.points !== null ? `${r.points} pts` : ""
+    ].filter(Boolean).join(" · ");
+    const awards = r.awards.length ? ` · ${discordEscape(r.awards.join(", "))}` : "";
+    return `**${r.rank}.** ${discordEscape(r.title)} — ${discordEscape(r.artist)} (${stats})${awards}`;
+  }));
+  return splitMessages(lines, limit);
+}
+
+// -> array of texts: one for csv / json / markdown, one per message for discord
+function exportWeek(format, week, rows) {
+  if (format === "csv") return [exportCsv(rows)];
+  if (format === "json") return [exportJson(week, rows)];
+  if (format === "markdown") return [exportMarkdown(week, rows)];
+  if (format === "discord") return exportDiscord(week, rows);
+  throw new Error(`Unknown export format: ${format} (${Object.keys(EXPORT_FORMATS).join(", ")})`);
+}
+
+// ---------- Week comparison (?week=A&compare=B) ----------
+// Both sides are loadChartWeek results (buildDerived per week). Deltas are
+// measured from the compare week to the main week: +5 means 5 places higher now.
+
+function compareRow(e, otherRanks) {
+  const otherRank = otherRanks.has(e._key) ? otherRanks.get(e._key) : null;
+  return {
+    key: e._key,
+    title: e.title,
+    artist: e.artist,
+    cover: e.cover,
+    rank: e.rank,
+    points: e.points,
+    otherRank,
+    delta: otherRank === null ? null : otherRank - e.rank
+  };
+}
+
+// Artist share of the week's points (entry count when a week has no points)
+// Map(artistId -> {name, entries, points, share}). Every credited artist gets
+// the song's points (groupByArtistCredits), so shares can add up past 100%.
+function artistShares(entries, identity = null) {
+  const totalPoints = entries.reduce((acc, e) => acc + (typeof e.points === "number" ? e.points : 0), 0);
+  const byArtist = new Map();
+
+  for (const [id, { name, items }] of groupByArtistCredits(entries, identity).entries()) {
+    const a = { name, entries: 0, points: 0 };
+    for (const e of items) {
+      a.entries += 1;
+      if (typeof e.points === "number") a.points += e.points;
+    }
+    byArtist.set(id, a);
+  }
+
+  for (const a of byArtist.values()) {
+    a.share = totalPoints > 0
+      ? (a.points / totalPoints) * 100
+      : (entries.length ? (a.entries / entries.length) * 100 : 0);
+  }
+  return byArtist;
+}
+
+function compareWeeks(current, other, identity = null) {
+  const ranksNow = new Map(current.entries.map(e => [e._key, e.rank]));
+  const ranksThen = new Map(other.entries.map(e => [e._key, e.rank]));
+
+  const rows = current.entries.map(e => compareRow(e, ranksThen));
+  // The compare week's side: rank is the old rank, otherRank where it is now,
+  // and delta still reads "then -> now"
+  const otherRows = other.entries.map((e) => {
+    const r = compareRow(e, ranksNow);
+    return { ...r, delta: r.delta === null ? null : -r.delta };
+  });
+
+  const entered = rows.filter(r => r.otherRank === null);
+  const left = otherRows.filter(r => r.otherRank === null);
+
+  const sharesNow = artistShares(current.entries, identity);
+  const sharesThen = artistShares(other.entries, identity);
+  const artists = [];
+  for (const id of new Set([...sharesNow.keys(), ...sharesThen.keys()])) {
+    const now = sharesNow.get(id) || { entries: 0, points: 0, share: 0 };
+    const then = sharesThen.get(id) || { entries: 0, points: 0, share: 0 };
+    artists.push({
+      artist: (sharesNow.get(id) || sharesThen.get(id)).name,
+      entries: now.entries,
+      otherEntries: then.entries,
+      share: now.share,
+      otherShare: then.share,
+      shareChange: now.share - then.share
+    });
+  }
+  artists.sort((a, b) =>
+    Math.abs(b.shareChange) - Math.abs(a.shareChange) ||
+    b.share - a.share ||
+    a.artist.localeCompare(b.artist)
+  );
+
+  return {
+    week: current.targetWeek,
+    compareWeek: other.targetWeek,
+    rows,
+    otherRows,
+    entered,
+    left,
+    stayed: rows.length - entered.length,
+    artists
+  };
+}
+
+// ---------- Reconcile stored vs derived stats (?debug=reconcile, scripts/reconcile.js) ----------
+// Week files carry the generator's own lastWeek / peak / weeks / movement.
+// The site ignores them and derives its own; this lists where the two disagree
+// and guesses why, so the generator can be fixed upstream.
+
+// Loose identity for spotting renamed artists / retitled songs
+function looseName(s) {
+  return String(s ?? "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/\s*[([](feat|ft|with)\.?\s[^)\]]*[)\]]/g, "")
+    .replace(/[^\p{L}\p{N}]+/gu, "");
+}
+
+function movementText(mv) {
+  if (!mv || !mv.type) return "—";
+  const type = normalizeMovementType(mv.type);
+  return (type === "up" || type === "down") ? `${type} ${Math.abs(mv.value ?? 0)}` : type;
+}
+
+// state: loadChartWeek() / buildDerived() result for the same week
+function reconcileWeek(weekData, derivedEntries, state, weeksAsc) {
+  const rawEntries = Array.isArray(weekData?.entries) ? weekData.entries : [];
+  const targetWeek = weeksAsc[weeksAsc.length - 1];
+  const prevWeek = weeksAsc.length > 1 ? weeksAsc[weeksAsc.length - 2] : null;
+
+  // Weeks nobody charted in = missing or empty week files
+  const weeksWithData = new Set();
+  for (const hist of state.historyMap.values()) for (const h of hist) weeksWithData.add(h.week);
+  const emptyWeeks = weeksAsc.filter(w => !weeksWithData.has(w));
+
+  // Songs listed twice in this week file
+  const keyCount = new Map();
+  for (const raw of rawEntries) {
+    const key = stateSongKey(state, raw.title, raw.artist);
+    keyCount.set(key, (keyCount.get(key) || 0) + 1);
+  }
+
+  // Other keys that are probably the same song under another spelling
+  const looseIndex = new Map();
+  for (const [key, info] of (state.songInfo || new Map()).entries()) {
+    const t = looseName(info.title);
+    if (!looseIndex.has(t)) looseIndex.set(t, []);
+    looseIndex.get(t).push({ key, artist: looseName(info.artist) });
+  }
+  function aliasesOf(entry) {
+    const a = looseName(entry.artist);
+    return (looseIndex.get(looseName(entry.title)) || [])
+      .filter(c => c.key !== entry._key && (c.artist === a || c.artist.includes(a) || a.includes(c.artist)))
+      .map(c => ({ key: c.key, weeks: (state.historyMap.get(c.key) || []).length }));
+  }
+
+  const diffs = [];
+
+  rawEntries.forEach((raw, i) => {
+    const e = derivedEntries[i];
+    if (!e || !e._key) return;
+
+    const stored = {
+      lastWeek: numOrNull(raw.lastWeek),
+      peak: numOrNull(raw.peak),
+      weeks: numOrNull(raw.weeks),
+      movement: movementText(raw.movement)
+    };
+    const derived = {
+      lastWeek: e.lastWeek,
+      peak: e.peak,
+      weeks: e.weeks,
+      movement: movementText(e.movement)
+    };
+
+    const fields = Object.keys(stored).filter(f => stored[f] !== derived[f]);
+    if (!fields.length) return;
+
+    const hist = state.historyMap.get(e._key) || [];
+    const reasons = [];
+
+    if ((keyCount.get(e._key) || 0) > 1) {
+      reasons.push(`listed ${keyCount.get(e._key)} times in this week file`);
+    }
+
+    if (e.movement.type === "re" && stored.lastWeek !== null) {
+      const lastOn = hist.find(h => h.week < targetWeek)?.week;
+      reasons.push(`re-entry: off the chart last week${lastOn ? ` (last charted ${lastOn})` : ""}, but the file keeps LW ${stored.lastWeek}`);
+    }
+
+    if (prevWeek && emptyWeeks.includes(prevWeek) && stored.lastWeek !== null) {
+      reasons.push(`missing week file: ${prevWeek} has no entries, so LW can't be derived`);
+    } else {
+      const missingInRun = emptyWeeks.filter(w => hist.length && w > hist[hist.length - 1].week && w < targetWeek);
+      if (missingInRun.length && fields.includes("weeks")) {
+        reasons.push(`missing week file(s) during its run: ${missingInRun.join(", ")}`);
+      }
+    }
+
+    const aliases = aliasesOf(e);
+    if (aliases.length && (stored.weeks ?? 0) > (derived.weeks ?? 0)) {
+      const list = aliases.map(a => `"${a.key}" (${a.weeks} wk)`).join(", ");
+      reasons.push(`renamed artist/title: also charted as ${list}`);
+    }
+
+    if (stored.movement === "new" && e.movement.type !== "new") {
+      reasons.push(`stored as NEW, but it first charted ${e.debutDate}`);
+    }
+
+    // Nothing structural found: at least say what the week files show
+    if (!reasons.length) {
+      if (fields.includes("weeks")) {
+        const drift = (stored.weeks ?? 0) - (derived.weeks ?? 0);
+        reasons.push(`generator's running week count is ${drift > 0 ? "+" : ""}${drift} off: the week files have it in ${derived.weeks} week(s) since ${e.debutDate}`);
+      }
+      if (fields.includes("peak")) {
+        reasons.push(`week files show a #${derived.peak} peak on ${e.peakDate}, the generator says #${stored.peak ?? "—"}`);
+      }
+      if (fields.includes("lastWeek") || fields.includes("movement")) {
+        reasons.push(`last week's file has it at ${derived.lastWeek === null ? "no rank" : `#${derived.lastWeek}`}`);
+      }
+    }
+    if (!reasons.length) reasons.push("no known cause (check the generator)");
+
+    diffs.push({
+      week: targetWeek,
+      rank: e.rank,
+      key: e._key,
+      title: e.title,
+      artist: e.artist,
+      fields,
+      stored,
+      derived,
+      reasons
+    });
+  });
+
+  return { week: targetWeek, emptyWeeks, diffs };
+}
+
+// ---------- Repair review (review.html, scripts/review-repair.js) ----------
+// data/_backup_before_repair/ keeps week files as they were before a repair.
+// diffRepairWeek() lines a backup up with the live file entry by entry so a
+// repair can be audited and, entry by entry, undone (revertRepairChanges).
+
+const REPAIR_BACKUP_DIR = "_backup_before_repair";
+const REPAIR_MANIFEST_FILE = "repairs.json";
+const REPAIR_FIELDS = ["title", "artist", "cover", "movement", "lastWeek", "peak", "weeks", "points", "listeners"];
+const REPAIR_STAT_FIELDS = ["movement", "lastWeek", "peak", "weeks", "points", "listeners"];
+
+// data/repairs.json: which live file each backup belongs to. Usually the same
+// name, but a backup can match a live file whose "week" field says its date.
+function buildRepairManifest(backupWeeks, liveWeekFields) {
+  const byField = new Map();
+  for (const [file, week] of Object.entries(liveWeekFields)) {
+    if (week && !byField.has(week)) byField.set(week, file);
+  }
+  const weeks = backupWeeks.slice().sort().map((w) => {
+    const live = (w in liveWeekFields) ? w : (byField.get(w) || null);
+    return { week: w, live };
+  });
+  return { backupDir: REPAIR_BACKUP_DIR, weeks };
+}
+
+function repairValueText(field, v) {
+  if (v === null || v === undefined || v === "") return "—";
+  if (field === "movement") return v.type ? `${v.type}${v.value !== null && v.value !== undefined ? ` ${v.value}` : ""}` : "—";
+  return String(v);
+}
+
+function sameRepairValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function diffRepairWeek(backupData, liveData) {
+  const before = Array.isArray(backupData?.entries) ? backupData.entries : [];
+  const after = Array.isArray(liveData?.entries) ? liveData.entries : [];
+
+  const info = (e, index) => ({
+    index,
+    entry: e,
+    rank: numOrNull(e?.rank),
+    key: songKey(e?.title, e?.artist),
+    title: looseName(cleanTitle(e?.title)),
+    artist: looseName(cleanArtistName(e?.artist))
+  });
+  const left = before.map(info);
+  const right = after.map(info);
+  const pairs = [];
+  const usedLeft = new Set();
+  const usedRight = new Set();
+
+  function match(test) {
+    for (const b of left) {
+      if (usedLeft.has(b.index)) continue;
+      const a = right.find(r => !usedRight.has(r.index) && test(b, r));
+      if (!a) continue;
+      usedLeft.add(b.index);
+      usedRight.add(a.index);
+      pairs.push([b, a]);
+    }
+  }
+
+  const related = (x, y) => x === y || (x && y && (x.includes(y) || y.includes(x)));
+
+  // Same song first (same rank preferred, for weeks that list a song twice),
+  // then re-credits (same title), then retitles (same artist, same rank)
+  match((b, a) => b.key === a.key && b.rank === a.rank);
+  match((b, a) => b.key === a.key);
+  match((b, a) => b.title === a.title && (b.rank === a.rank || related(b.artist, a.artist)));
+  match((b, a) => b.rank === a.rank && related(b.artist, a.artist) && related(b.title, a.title));
+  match((b, a) => b.rank === a.rank && b.artist === a.artist);
+
+  const changes = [];
+
+  for (const [b, a] of pairs) {
+    const fields = REPAIR_FIELDS
+      .filter(f => !sameRepairValue(b.entry[f], a.entry[f]))
+      .map(f => ({ field: f, before: b.entry[f] ?? null, after: a.entry[f] ?? null }));
+    if (!fields.length && b.rank === a.rank) continue;
+
+    const tags = [];
+    if (b.rank !== a.rank) tags.push("reranked");
+    if (cleanArtistName(b.entry.artist).toLowerCase() !== cleanArtistName(a.entry.artist).toLowerCase()) tags.push("recredited");
+    if (cleanTitle(b.entry.title).toLowerCase() !== cleanTitle(a.entry.title).toLowerCase()) tags.push("retitled");
+    if (fields.some(f => f.field === "title" || f.field === "artist") && !tags.includes("recredited") && !tags.includes("retitled")) tags.push("renamed");
+    if (fields.some(f => f.field === "cover")) tags.push("cover");
+    if (fields.some(f => REPAIR_STAT_FIELDS.includes(f.field))) tags.push("stats");
+
+    changes.push({ kind: "changed", tags, before: b, after: a, fields });
+  }
+
+  for (const b of left) {
+    if (!usedLeft.has(b.index)) changes.push({ kind: "removed", tags: ["removed"], before: b, after: null, fields: [] });
+  }
+  for (const a of right) {
+    if (!usedRight.has(a.index)) changes.push({ kind: "added", tags: ["added"], before: null, after: a, fields: [] });
+  }
+
+  const sortRank = c => (c.after || c.before).rank ?? Infinity;
+  changes.sort((x, y) => sortRank(x) - sortRank(y) || (x.before ? 0 : 1) - (y.before ? 0 : 1));
+
+  const counts = { added: 0, removed: 0, reranked: 0, recredited: 0, retitled: 0, renamed: 0, cover: 0, stats: 0 };
+  const out = changes.map((c, i) => {
+    for (const t of c.tags) counts[t] = (counts[t] || 0) + 1;
+    const e = (c.after || c.before).entry;
+    return {
+      id: i + 1,
+      kind: c.kind,
+      tags: c.tags,
+      key: songKey(e.title, e.artist),
+      title: cleanTitle(e.title),
+      artist: cleanArtistName(e.artist),
+      rankBefore: c.before ? c.before.rank : null,
+      rankAfter: c.after ? c.after.rank : null,
+      backupIndex: c.before ? c.before.index : null,
+      liveIndex: c.after ? c.after.index : null,
+      before: c.before ? c.before.entry : null,
+      after: c.after ? c.after.entry : null,
+      fields: c.fields
+    };
+  });
+
+  return {
+    week: backupData?.week || liveData?.week || null,
+    backupEntries: before.length,
+    liveEntries: after.length,
+    unchanged: pairs.length - out.filter(c => c.kind === "changed").length,
+    counts,
+    changes: out
+  };
+}
+
+// Undo the chosen changes in the live week: drop their live entries, put the
+// backup entries back, keep the file sorted by rank
+function revertRepairChanges(liveData, diff, ids) {
+  const chosen = diff.changes.filter(c => ids.includes(c.id));
+  const dropLive = new Set(chosen.filter(c => c.liveIndex !== null).map(c => c.liveIndex));
+  const restored = chosen.filter(c => c.before).map(c => JSON.parse(JSON.stringify(c.before)));
+
+  const entries = (liveData?.entries || [])
+    .filter((e, i) => !dropLive.has(i))
+    .concat(restored)
+    .map((e, i) => ({ e, i }))
+    .sort((x, y) => ((numOrNull(x.e.rank) ?? Infinity) - (numOrNull(y.e.rank) ?? Infinity)) || x.i - y.i)
+    .map(x => x.e);
+
+  return { ...liveData, entries };
+}
+
+// ---------- Catalog / history / manifest (scripts/build-data.js) ----------
+// Cover files are named "<artist>__<title>.png|jpg" with every run of
+// non-letters/digits turned into "_": "A$AP Rocky" -> "a_ap_rocky"
+function coverSlug(title, artist) {
+  const slug = (v) => String(v ?? "").toLowerCase().replace(/[^\p{L}\p{N}]+/gu, "_").replace(/^_+|_+$/g, "");
+  return `${slug(cleanArtistName(artist))}__${slug(cleanTitle(title))}`;
+}
+
+// data/catalog.json: artist -> songs -> {title, artist, role, cover, weeks, peak, debut, peakDate, history[{week, rank, points}]}
+// opts.identity is buildArtistIdentity(data/artists.json) (aliases + names never split),
+// opts.songIdentity is buildSongIdentity(data/songs.json) (merge / split overrides).
+// opts.coverExists(path) lets the Node script skip cover paths with no file behind them;
+// opts.findCover(title, artist) is asked when no week file has a usable cover.
+function buildCatalog(weeksAsc, weekDataByWeek, opts = {}) {
+  const coverExists = typeof opts.coverExists === "function" ? opts.coverExists : () => true;
+  const findCover = typeof opts.findCover === "function" ? opts.findCover : () => null;
+  const lastWeek = weeksAsc[weeksAsc.length - 1];
+  const state = buildDerived(weeksAsc, weekDataByWeek, lastWeek, opts.songIdentity || null);
+  const { seenStats, historyMap, songInfo } = state;
+
+  // First usable cover per song (later weeks sometimes flip .jpg/.png)
+  const covers = new Map();
+  for (const w of weeksAsc) {
+    const entries = weekDataByWeek.get(w)?.entries || [];
+    for (const raw of entries) {
+      const key = stateSongKey(state, raw.title, raw.artist);
+      const cover = safeText(raw.cover, "");
+      if (covers.has(key) || !cover || cover.includes("placeholder") || !coverExists(cover)) continue;
+      covers.set(key, cover);
+    }
+  }
+
+  // One group per credited artist (artistCredits), so a song is listed on
+  // every lead + featured artist's page. Names from data/artists.json win;
+  // otherwise the spelling from the artist's latest chart week does.
+  const identity = opts.identity || null;
+  const groups = new Map();
+  for (const [key, info] of songInfo.entries()) {
+    const st = seenStats.get(key);
+    const hist = (historyMap.get(key) || []).slice().sort((x, y) => x.week.localeCompare(y.week) || (x.rank - y.rank));
+    const latest = hist[hist.length - 1]?.week || "";
+
+    const song = {
+      title: info.title,
+      artist: info.artist,
+      cover: covers.get(key) || findCover(info.title, info.artist) || PLACEHOLDER_PRIMARY,
+      weeks: st.weeks,
+      peak: st.peak,
+      debut: st.debutDate,
+      peakDate: st.peakDate,
+      history: hist.map(h => ({ week: h.week, rank: h.rank, points: h.points }))
+    };
+
+    for (const credit of artistCredits(identity, info.artist, info.title)) {
+      const fixed = identity?.canonical.has(credit.id);
+      if (!groups.has(credit.id)) groups.set(credit.id, { name: credit.name, latest, fixed, songs: {} });
+      const group = groups.get(credit.id);
+      if (!fixed && latest > group.latest) {
+        group.name = credit.name;
+        group.latest = latest;
+      }
+      group.songs[key] = { ...song, role: credit.role };
+    }
+  }
+
+  // Artists A-Z (case-insensitive); songs chart-style: best peak, then most weeks
+  const cmp = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+  const artists = {};
+  const sortedGroups = [...groups.values()].sort((a, b) => cmp(a.name.toLowerCase(), b.name.toLowerCase()) || cmp(a.name, b.name));
+  for (const g of sortedGroups) {
+    const songs = {};
+    const keys = Object.keys(g.songs).sort((ka, kb) => {
+      const a = g.songs[ka];
+      const b = g.songs[kb];
+      return (a.peak - b.peak) || (b.weeks - a.weeks) || cmp(a.title.toLowerCase(), b.title.toLowerCase());
+    });
+    for (const key of keys) songs[key] = g.songs[key];
+    artists[g.name] = { songs };
+  }
+
+  return {
+    chartName: "Nabnation Top 100",
+    generatedAt: opts.generatedAt || new Date().toISOString(),
+    weeksIncluded: weeksAsc.slice(),
+    artists
+  };
+}
+
+// data/history.json: songKey -> {peak, weeks} as of the latest week
+function buildHistoryFile(weeksAsc, weekDataByWeek, songIdentity = null) {
+  const { seenStats } = buildDerived(weeksAsc, weekDataByWeek, weeksAsc[weeksAsc.length - 1], songIdentity);
+  const out = {};
+  for (const [key, st] of seenStats.entries()) out[key] = { peak: st.peak, weeks: st.weeks };
+  return out;
+}
+
+// data/manifest.json: weeks newest first
+function buildManifest(weeks) {
+  return { weeks: weeks.slice().sort().reverse() };
+}
+
+// ---------- Node (build scripts) ----------
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    PLACEHOLDER_PRIMARY,
+    PLACEHOLDER_FALLBACK,
+    DERIVED_INDEX_FILE,
+    DERIVED_INDEX_VERSION,
+    CHART_SIZE,
+    MOVEMENT_TYPES,
+    MOVEMENT_ALIASES,
+    INDEX_FIELDS,
+    safeText,
+    numOrNull,
+    cleanArtistName,
+    cleanTitle,
+    songKey,
+    ARTIST_IDENTITY_FILE,
+    ARTIST_ROLES,
+    artistId,
+    buildArtistIdentity,
+    canonicalArtist,
+    artistCreditParts,
+    artistCredits,
+    groupByArtistCredits,
+    songLeadArtistIds,
+    normalizeMovementType,
+    coverSlug,
+    AWARDS,
+    PERIOD_AWARDS,
+    runAwards,
+    computeAwardsForWeek,
+    artistFirstWeeks,
+    awardContext,
+    MILESTONE_WEEKS,
+    computeMilestonesForWeek,
+    SONG_IDENTITY_FILE,
+    buildSongIdentity,
+    songMatchKey,
+    songBaseTitle,
+    buildSongKeyMap,
+    stateSongKey,
+    indexSongKey,
+    loadSongIdentity,
+    buildDerived,
+    foldDerivedWeeks,
+    deriveEntryForWeek,
+    deriveWeekEntries,
+    CHART_FILTERS,
+    CHART_SORTS,
+    applyChartView,
+    reconcileWeek,
+    REPAIR_BACKUP_DIR,
+    REPAIR_MANIFEST_FILE,
+    REPAIR_FIELDS,
+    buildRepairManifest,
+    repairValueText,
+    diffRepairWeek,
+    revertRepairChanges,
+    buildDerivedIndex,
+    buildCatalog,
+    buildHistoryFile,
+    buildManifest,
+    isDerivedIndexFresh,
+    derivedStateFromIndex,
+    loadChartWeek,
+    weekEntriesFromIndex,
+    awardContextFromIndex,
+    weekAwardsFromIndex,
+    awardHistoryFromIndex,
+    artistAwardTally,
+    songDetailFromIndex,
+    loadFullIndex,
+    loadSongDetail,
+    SEARCH_LIMITS,
+    searchFold,
+    editDistance,
+    searchScore,
+    buildSearchIndex,
+    runSearch,
+    RECORD_LIMIT,
+    buildRecords,
+    ALBUMS_FILE,
+    albumKey,
+    buildAlbumCharts,
+    albumDetail,
+    loadAlbumCharts,
+    TRACKINFO_FILE,
+    loadTrackInfo,
+    TAGS_FILE,
+    TAG_TREND_LIMIT,
+    tagName,
+    buildTagTable,
+    songTags,
+    buildTagLookup,
+    tagBreakdown,
+    indexWeekEntries,
+    buildTagTrends,
+    loadTagData,
+    EXPORT_FORMATS,
+    EXPORT_COLUMNS,
+    DISCORD_MESSAGE_LIMIT,
+    exportWeekRows,
+    exportMoveText,
+    exportCsv,
+    exportJson,
+    exportMarkdown,
+    splitMessages,
+    exportDiscord,
+    exportWeek,
+    PERIOD_ALL,
+    periodKind,
+    periodOfWeek,
+    periodWeeks,
+    periodLabel,
+    listPeriods,
+    periodTopArtists,
+    periodNumberOnes,
+    periodScore,
+    buildPeriodChart,
+    computePeriodAwards,
+    loadPeriodChart,
+    compareWeeks
+  };
+}
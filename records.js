@@ -0,0 +1,79 @@
+/* =========================================
+   Nabnation Top 100 — records.js
+   - All-time records from the full history (core.js buildRecords); artist
+     records credit every artist on a song, like the artist pages
+   - Every row links its week, song and artist
+   - Uses data/derived.json when fresh, full week scan otherwise
+   - Mounted by site.js
+========================================= */
+
+// ---------- sections ----------
+function recordWhenHtml(row) {
+  if (row.weekEnd && row.weekEnd !== row.week) {
+    return `<a href="${weekUrl(row.week)}">${escapeHtml(row.week)}</a> – <a href="${weekUrl(row.weekEnd)}">${escapeHtml(row.weekEnd)}</a>`;
+  }
+  return `<a href="${weekUrl(row.week)}">${escapeHtml(row.week)}</a>`;
+}
+
+// Extra line per record type (where the move started, the songs behind a tally…)
+function recordDetailHtml(id, row) {
+  if (id === "biggestJump" || id === "biggestFall") return `#${escapeHtml(row.from)} → #${escapeHtml(row.rank)}`;
+  if (id === "fastestNo1") return `Debuted at #${escapeHtml(row.from)} on <a href="${weekUrl(row.debutWeek)}">${escapeHtml(row.debutWeek)}</a>`;
+  if (id === "simultaneous") return `Highest: #${escapeHtml(row.rank)}`;
+  if (row.songs) {
+    return row.songs
+      .map(s => `<a href="${songUrl(s.key)}">${escapeHtml(s.title)}</a> <span class="mutedSmall">(<a href="${weekUrl(s.week)}">${escapeHtml(s.week)}</a>)</span>`)
+      .join(", ");
+  }
+  return "";
+}
+
+function recordHtml(record) {
+  const rows = record.rows.map((row, i) => {
+    const detail = recordDetailHtml(record.id, row);
+    return `
+      <li class="recordRow">
+        <div class="cmpRank">${i + 1}</div>
+        <div class="recordValue"><b>${escapeHtml(row.value)}</b><span class="mutedSmall">${escapeHtml(record.unit)}</span></div>
+        <div class="cmpSong">
+          <div class="cmpTitle"><a href="${songUrl(row.key)}">${escapeHtml(row.title)}</a></div>
+          <div class="cmpArtist"><a href="${artistUrl(row.artist)}">${escapeHtml(row.artist)}</a> • ${recordWhenHtml(row)}</div>
+          ${detail ? `<div class="recordDetail">${detail}</div>` : ""}
+        </div>
+      </li>
+    `;
+  }).join("");
+
+  return `
+    <section class="songSection recordCard" id="${escapeHtml(record.id)}" aria-label="${escapeHtml(record.label)}">
+      <h2 class="songHead">${escapeHtml(record.label)}</h2>
+      ${rows ? `<ol class="cmpList">${rows}</ol>` : `<div class="mutedSmall">Nothing yet.</div>`}
+    </section>
+  `;
+}
+
+// ---------- mount ----------
+async function mountRecordsPage(ctx) {
+  const manifest = await loadJSON(`${DATA_DIR}/manifest.json`);
+  const weeksDesc = Array.isArray(manifest?.weeks) ? manifest.weeks.slice() : [];
+  if (!weeksDesc.length) throw new Error("No weeks found in data/manifest.json");
+
+  const loaded = await loadFullIndex((name) => loadJSON(`${DATA_DIR}/${name}`), weeksDesc);
+  if (ctx.signal.aborted) return; // navigated away while loading
+
+  const records = buildRecords(loaded.index, RECORD_LIMIT, siteArtistIdentity);
+  document.getElementById("records").innerHTML = records.map(recordHtml).join("");
+  document.getElementById("recordsMeta").textContent =
+    `${loaded.weeksAsc.length} week(s) • ${loaded.weeksAsc[0]} – ${loaded.weeksAsc[loaded.weeksAsc.length - 1]}`;
+
+  const footInfo = document.getElementById("footInfo");
+  if (footInfo) footInfo.textContent = `Top ${RECORD_LIMIT} per record • ${loaded.source === "index" ? "from data/derived.json" : "full week scan"}`;
+}
+
+registerPage("records", {
+  mount: (ctx) => mountRecordsPage(ctx).catch((err) => {
+    console.error(err);
+    const box = document.getElementById("records");
+    if (box) box.innerHTML = `<div class="mutedSmall">${escapeHtml(err.message)}</div>`;
+  })
+});
@@ -0,0 +1,213 @@
+/* =========================================
+   Nabnation Top 100 — review.js
+   - Diffs a data/_backup_before_repair/ week against the live week file
+     (core.js diffRepairWeek, same as scripts/review-repair.js)
+   - Lists added / removed / re-ranked / re-credited / retitled entries,
+     cover and stat changes, field by field
+   - Tick changes to download the live week with those entries reverted
+========================================= */
+
+const DATA_DIR = "./data";
+
+const TAG_LABELS = {
+  added: "Added",
+  removed: "Removed",
+  reranked: "Re-ranked",
+  recredited: "Re-credited",
+  retitled: "Retitled",
+  renamed: "Respelled",
+  cover: "Cover",
+  stats: "Stats"
+};
+
+// ---------- small helpers ----------
+function qs(name) {
+  return new URLSearchParams(location.search).get(name);
+}
+
+function setWeekParam(week) {
+  const u = new URL(location.href);
+  u.searchParams.set("week", week);
+  location.href = u.toString();
+}
+
+function esc(str) {
+  return String(str ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+function artistUrl(artistName) {
+  return `artist.html?name=${encodeURIComponent(artistName)}`;
+}
+
+function weekUrl(weekStr) {
+  return `/?week=${encodeURIComponent(weekStr)}`;
+}
+
+// Text, not JSON: the download keeps the live file's line endings
+async function loadText(path) {
+  const res = await fetch(path, { cache: "no-store" });
+  if (!res.ok) throw new Error(`Failed to load ${path}`);
+  return await res.text();
+}
+
+// Same layout as scripts/lib/data.js writeWeekFile: points stay floats ("127.0")
+function weekFileText(data, crlf) {
+  const text = JSON.stringify(data, null, 2)
+    .replace(/^(\s*"points": -?\d+)(,?)$/gm, "$1.0$2");
+  return crlf ? text.replace(/\n/g, "\r\n") : text;
+}
+
+function rankCell(c) {
+  if (c.kind === "added") return `<b>#${esc(c.rankAfter)}</b> <span class="mutedSmall">new</span>`;
+  if (c.kind === "removed") return `<s>#${esc(c.rankBefore)}</s> <span class="mutedSmall">gone</span>`;
+  if (c.rankBefore === c.rankAfter) return `<b>#${esc(c.rankAfter)}</b>`;
+  return `#${esc(c.rankBefore)} → <b>#${esc(c.rankAfter)}</b>`;
+}
+
+function changeCell(c) {
+  if (c.kind === "added") return `<span class="mutedSmall">Not in the backup</span>`;
+  if (c.kind === "removed") return `<span class="mutedSmall">Not in the live file</span>`;
+  if (!c.fields.length) return `<span class="mutedSmall">Only the rank changed</span>`;
+
+  return c.fields.map(f => `
+    <div class="recField">
+      <span class="recName">${esc(f.field)}</span>
+      <span class="recStored">${esc(repairValueText(f.field, f.before))}</span>
+      <span class="recArrow">→</span>
+      <span class="recDerived">${esc(repairValueText(f.field, f.after))}</span>
+    </div>
+  `).join("");
+}
+
+function rowHtml(c) {
+  return `
+    <tr data-id="${c.id}" data-tags="${esc(c.tags.join(" "))}">
+      <td><input class="revertPick" type="checkbox" value="${c.id}" title="Revert change ${c.id}" /></td>
+      <td class="recRank">${rankCell(c)}</td>
+      <td>
+        <div class="recTitle">${esc(c.title)}</div>
+        <div class="recArtist"><a href="${artistUrl(c.artist)}">${esc(c.artist)}</a></div>
+        <div class="reviewTags">${c.tags.map(t => `<span class="reviewTag tag-${esc(t)}">${esc(TAG_LABELS[t] || t)}</span>`).join("")}</div>
+      </td>
+      <td>${changeCell(c)}</td>
+    </tr>
+  `;
+}
+
+// ---------- main ----------
+async function main() {
+  const meta = document.getElementById("reviewMeta");
+  const weekSelect = document.getElementById("weekSelect");
+  const tagFilter = document.getElementById("tagFilter");
+  const countLabel = document.getElementById("countLabel");
+  const countsBox = document.getElementById("reviewCounts");
+  const rowsEl = document.getElementById("reviewRows");
+  const selectAll = document.getElementById("selectAll");
+  const revertBtn = document.getElementById("revertBtn");
+  const revertCmd = document.getElementById("revertCmd");
+
+  const manifest = JSON.parse(await loadText(`${DATA_DIR}/${REPAIR_MANIFEST_FILE}`));
+  const items = Array.isArray(manifest?.weeks) ? manifest.weeks : [];
+  if (!items.length) {
+    meta.textContent = "No backups found";
+    return;
+  }
+
+  const requested = qs("week");
+  const item = items.find(i => i.week === requested) || items[0];
+
+  weekSelect.innerHTML = items.map(i => `<option value="${esc(i.week)}">${esc(i.week)}</option>`).join("");
+  weekSelect.value = item.week;
+  weekSelect.addEventListener("change", () => setWeekParam(weekSelect.value));
+
+  const backupText = await loadText(`${DATA_DIR}/${manifest.backupDir || REPAIR_BACKUP_DIR}/${item.week}.json`);
+  const liveText = item.live ? await loadText(`${DATA_DIR}/${item.live}.json`) : null;
+  const backup = JSON.parse(backupText);
+  const live = liveText ? JSON.parse(liveText) : { week: item.week, entries: [] };
+
+  const diff = diffRepairWeek(backup, live);
+
+  const liveNote = item.live ? `live file ${item.live}.json` : "no live week file";
+  meta.innerHTML = `Backup of <a href="${weekUrl(item.live || item.week)}">${esc(item.week)}</a> vs ${esc(liveNote)} • ${diff.changes.length} change(s), ${diff.unchanged} unchanged`;
+
+  countsBox.innerHTML = Object.keys(TAG_LABELS)
+    .filter(t => diff.counts[t])
+    .map(t => `<span>${esc(TAG_LABELS[t])} <b>${esc(diff.counts[t])}</b></span>`)
+    .join("");
+
+  tagFilter.innerHTML = [`<option value="">All changes (${diff.changes.length})</option>`]
+    .concat(Object.keys(TAG_LABELS).filter(t => diff.counts[t]).map(t => `<option value="${t}">${esc(TAG_LABELS[t])} (${diff.counts[t]})</option>`))
+    .join("");
+
+  rowsEl.innerHTML = diff.changes.length
+    ? diff.changes.map(rowHtml).join("")
+    : `<tr><td colspan="4" class="mutedSmall">The live file matches the backup.</td></tr>`;
+
+  const rows = () => [...rowsEl.querySelectorAll("tr[data-id]")];
+  const picked = () => rows()
+    .map(r => r.querySelector(".revertPick"))
+    .filter(cb => cb && cb.checked)
+    .map(cb => Number(cb.value));
+
+  function updateSelection() {
+    const ids = picked();
+    revertBtn.disabled = !ids.length || !item.live;
+    revertBtn.textContent = ids.length
+      ? `Download ${item.live || item.week}.json with ${ids.length} change(s) reverted`
+      : "Download reverted week file";
+    revertCmd.textContent = ids.length ? `node scripts/review-repair.js ${item.week} --revert ${ids.join(",")}` : "";
+  }
+
+  function applyFilter() {
+    const tag = tagFilter.value;
+    let shown = 0;
+    rows().forEach((r) => {
+      const on = !tag || r.getAttribute("data-tags").split(" ").includes(tag);
+      r.style.display = on ? "" : "none";
+      if (on) shown += 1;
+    });
+    selectAll.checked = false;
+    countLabel.textContent = `${shown} / ${diff.changes.length} shown`;
+  }
+
+  tagFilter.addEventListener("change", applyFilter);
+  rowsEl.addEventListener("change", updateSelection);
+
+  selectAll.addEventListener("change", () => {
+    rows()
+      .filter(r => r.style.display !== "none")
+      .forEach((r) => { r.querySelector(".revertPick").checked = selectAll.checked; });
+    updateSelection();
+  });
+
+  revertBtn.addEventListener("click", () => {
+    const ids = picked();
+    if (!ids.length || !item.live) return;
+
+    const next = revertRepairChanges(live, diff, ids);
+    const text = weekFileText(next, liveText.includes("\r\n"));
+    const url = URL.createObjectURL(new Blob([text], { type: "application/json" }));
+
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `${item.live}.json`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+  });
+
+  applyFilter();
+  updateSelection();
+}
+
+main().catch(err => {
+  console.error(err);
+  const meta = document.getElementById("reviewMeta");
+  if (meta) meta.textContent = `Failed to load: ${err.message}`;
+});
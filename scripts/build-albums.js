@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+/* =========================================
+   Nabnation Top 100 — scripts/build-albums.js
+   Writes data/albums.json from the Last.fm track.getInfo cache
+   (.cache/trackinfo_*.json, see lib/lastfm.js):
+   - albums: albumKey -> { title, artist, image, url }
+   - songs:  songKey -> albumKey (merged spellings use the song's own key)
+   The album chart (albums.html, core.js buildAlbumCharts) reads this file.
+   .cache is not committed, so run this wherever the generator runs.
+
+   Usage:
+     node scripts/build-albums.js           write data/albums.json
+     node scripts/build-albums.js --check   exit 1 if data/albums.json is out of date
+========================================= */
+
+const fs = require("fs");
+const path = require("path");
+const core = require("../core.js");
+const { ROOT_DIR, DATA_DIR, readJSON, listWeekFiles, loadWeeks, jsonDiff, writeText } = require("./lib/data.js");
+const { CACHE_DIR, readTrackCache, tracksBySong } = require("./lib/lastfm.js");
+
+function albumImage(album) {
+  const images = Array.isArray(album?.image) ? album.image : [];
+  const pick = images.find(i => i.size === "extralarge") || images[images.length - 1];
+  return core.safeText(pick?.["#text"], "");
+}
+
+function buildAlbums(weeksAsc, weekDataByWeek, songIdentity, cache) {
+  const { tracks, songs: chartSongs } = tracksBySong(weeksAsc, weekDataByWeek, songIdentity, cache);
+  const albums = {};
+  const songs = {};
+  const missing = [];
+
+  for (const [key, track] of tracks.entries()) {
+    const album = track?.album;
+    if (!album?.title) {
+      missing.push(key);
+      continue;
+    }
+
+    const albumArtist = core.cleanArtistName(album.artist || track.artist?.name || chartSongs.get(key).artist);
+    const id = core.albumKey(album.title, albumArtist);
+    if (!albums[id]) {
+      albums[id] = { title: core.cleanTitle(album.title), artist: albumArtist, image: albumImage(album), url: core.safeText(album.url, "") };
+    }
+    songs[key] = id;
+  }
+
+  const sortKeys = (obj) => Object.fromEntries(Object.keys(obj).sort().map(k => [k, obj[k]]));
+  return { data: { albums: sortKeys(albums), songs: sortKeys(songs) }, missing: missing.sort() };
+}
+
+function main() {
+  const weeksAsc = listWeekFiles();
+  if (!weeksAsc.length) throw new Error("No data/YYYY-MM-DD.json week files found");
+
+  const cache = readTrackCache();
+  if (!cache.byFile.size) throw new Error(`No trackinfo_*.json files in ${path.relative(ROOT_DIR, CACHE_DIR)}/`);
+
+  const songsFile = path.join(DATA_DIR, core.SONG_IDENTITY_FILE);
+  const songIdentity = core.buildSongIdentity(fs.existsSync(songsFile) ? readJSON(songsFile) : null);
+  const { data, missing } = buildAlbums(weeksAsc, loadWeeks(weeksAsc), songIdentity, cache);
+
+  const out = path.join(DATA_DIR, core.ALBUMS_FILE);
+  const rel = path.relative(ROOT_DIR, out);
+  const summary = `${Object.keys(data.songs).length} songs on ${Object.keys(data.albums).length} albums, ${missing.length} song(s) with no album`;
+
+  if (process.argv.includes("--check")) {
+    const diff = fs.existsSync(out) ? jsonDiff(readJSON(out), data) : ["missing"];
+    if (!diff.length) {
+      console.log(`✓ ${rel} (${summary})`);
+      return;
+    }
+    console.log(`✗ ${rel} is out of date (${diff.length} change(s)). Run: node scripts/build-albums.js`);
+    process.exitCode = 1;
+    return;
+  }
+
+  writeText(out, `${JSON.stringify(data, null, 2)}\n`);
+  console.log(`Wrote ${rel}: ${summary}`);
+}
+
+main();
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+/* =========================================
+   Nabnation Top 100 — scripts/build-data.js
+   Regenerates the files the site reads from the week files on disk
+   (data/YYYY-MM-DD.json), using the same name cleaning + song keys
+   as the site (core.js):
+   - data/manifest.json  (weeks, newest first)
+   - data/catalog.json   (artist pages)
+   - data/history.json   (songKey -> peak / weeks)
+   - data/derived.json   (chart page index, see build-index.js)
+   - data/repairs.json   (backup -> live week pairs for review.html)
+   data/artists.json (canonical artist names + aliases, core.js
+   buildArtistIdentity) and data/songs.json (song merge / split overrides,
+   core.js buildSongIdentity) are hand-edited and only read here.
+
+   Usage:
+     node scripts/build-data.js           write all files
+     node scripts/build-data.js --check   exit 1 + print a diff if any file is out of date
+========================================= */
+
+const fs = require("fs");
+const path = require("path");
+const core = require("../core.js");
+const { ROOT_DIR, DATA_DIR, readJSON, listWeekFiles, listBackupWeeks, loadWeeks, jsonDiff, formatIndex, writeText } = require("./lib/data.js");
+
+const MAX_DIFF_LINES = 40;
+
+function readIfExists(file) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    return readJSON(file);
+  } catch (e) {
+    return null;
+  }
+}
+
+function coverExists(cover) {
+  return fs.existsSync(path.join(ROOT_DIR, cover));
+}
+
+// Week files without a cover: look for covers/<artist>__<title>.png|jpg on disk
+function findCover(title, artist) {
+  const base = core.coverSlug(title, artist);
+  for (const ext of ["png", "jpg"]) {
+    const cover = `covers/${base}.${ext}`;
+    if (coverExists(cover)) return cover;
+  }
+  return null;
+}
+
+// Build every output as {file, data, text}
+function buildOutputs() {
+  const weeksAsc = listWeekFiles();
+  if (!weeksAsc.length) throw new Error("No data/YYYY-MM-DD.json week files found");
+
+  const weekDataByWeek = loadWeeks(weeksAsc);
+
+  // Keep the old timestamp when nothing else changed so re-runs don't churn the file
+  const catalogFile = path.join(DATA_DIR, "catalog.json");
+  const oldCatalog = readIfExists(catalogFile);
+  const identity = core.buildArtistIdentity(readIfExists(path.join(DATA_DIR, core.ARTIST_IDENTITY_FILE)));
+  const songIdentity = core.buildSongIdentity(readIfExists(path.join(DATA_DIR, core.SONG_IDENTITY_FILE)));
+  const catalog = core.buildCatalog(weeksAsc, weekDataByWeek, { coverExists, findCover, identity, songIdentity });
+  if (oldCatalog?.generatedAt && sameIgnoringStamp(oldCatalog, catalog)) {
+    catalog.generatedAt = oldCatalog.generatedAt;
+  }
+
+  const index = core.buildDerivedIndex(weeksAsc, weekDataByWeek, songIdentity);
+  for (const [w, ranks] of Object.entries(index.duplicates)) {
+    console.warn(`${w}: #${ranks.join(", #")} repeat a song listed higher up, counted once (see scripts/validate.js)`);
+  }
+
+  const outputs = [
+    { file: path.join(DATA_DIR, "manifest.json"), data: core.buildManifest(weeksAsc) },
+    { file: catalogFile, data: catalog },
+    { file: path.join(DATA_DIR, "history.json"), data: core.buildHistoryFile(weeksAsc, weekDataByWeek, songIdentity) },
+    { file: path.join(DATA_DIR, core.DERIVED_INDEX_FILE), data: index, text: formatIndex(index) }
+  ];
+
+  const backupWeeks = listBackupWeeks(core.REPAIR_BACKUP_DIR);
+  if (backupWeeks.length) {
+    const liveWeekFields = {};
+    for (const [w, data] of weekDataByWeek.entries()) liveWeekFields[w] = data?.week || null;
+    outputs.push({ file: path.join(DATA_DIR, core.REPAIR_MANIFEST_FILE), data: core.buildRepairManifest(backupWeeks, liveWeekFields) });
+  }
+
+  return outputs.map(o => ({ ...o, text: o.text || `${JSON.stringify(o.data, null, 2)}\n` }));
+}
+
+function sameIgnoringStamp(a, b) {
+  return jsonDiff({ ...a, generatedAt: null }, { ...b, generatedAt: null }).length === 0;
+}
+
+function check(outputs) {
+  let stale = 0;
+
+  for (const o of outputs) {
+    const rel = path.relative(ROOT_DIR, o.file);
+    const current = readIfExists(o.file);
+    if (!current) {
+      console.log(`✗ ${rel} is missing`);
+      stale += 1;
+      continue;
+    }
+
+    const diff = jsonDiff({ ...current, generatedAt: null }, { ...o.data, generatedAt: null });
+    if (!diff.length) {
+      console.log(`✓ ${rel}`);
+      continue;
+    }
+
+    stale += 1;
+    console.log(`✗ ${rel} is out of date (${diff.length} change(s)):`);
+    for (const line of diff.slice(0, MAX_DIFF_LINES)) console.log(`    ${line}`);
+    if (diff.length > MAX_DIFF_LINES) console.log(`    … and ${diff.length - MAX_DIFF_LINES} more`);
+  }
+
+  if (stale) {
+    console.log(`\n${stale} file(s) out of date. Run: node scripts/build-data.js`);
+    process.exitCode = 1;
+  }
+}
+
+function write(outputs) {
+  for (const o of outputs) {
+    writeText(o.file, o.text);
+    console.log(`Wrote ${path.relative(ROOT_DIR, o.file)}`);
+  }
+}
+
+function main() {
+  const outputs = buildOutputs();
+  if (process.argv.includes("--check")) check(outputs);
+  else write(outputs);
+}
+
+main();
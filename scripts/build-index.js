@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/* =========================================
+   Nabnation Top 100 — scripts/build-index.js
+   Writes data/derived.json: per-week LW/Peak/Weeks/debut/movement for
+   every song plus full song histories, so the chart page only has to
+   fetch the selected week + this file.
+   A song listed twice in one week counts once, at its first row; the
+   repeated rows are recorded under "duplicates" and reported here.
+   scripts/check-index.js checks the result against a full scan.
+
+   Weeks are the week files on disk, same as scripts/build-data.js; it
+   stops if data/manifest.json lists a different set, since the site
+   would then read an index built from other weeks.
+
+   Usage: node scripts/build-index.js
+   Re-run whenever a week file or manifest.json changes
+   (scripts/build-data.js also rebuilds it, and the manifest).
+========================================= */
+
+const fs = require("fs");
+const path = require("path");
+const core = require("../core.js");
+const { DATA_DIR, ROOT_DIR, readJSON, readManifestWeeks, listWeekFiles, loadWeeks, formatIndex, writeText } = require("./lib/data.js");
+
+function main() {
+  const weeksAsc = listWeekFiles();
+  if (!weeksAsc.length) throw new Error("No data/YYYY-MM-DD.json week files found");
+
+  const manifestWeeks = readManifestWeeks();
+  const notListed = weeksAsc.filter(w => !manifestWeeks.includes(w));
+  const noFile = manifestWeeks.filter(w => !weeksAsc.includes(w));
+  if (notListed.length || noFile.length) {
+    const parts = [];
+    if (notListed.length) parts.push(`not in the manifest: ${notListed.join(", ")}`);
+    if (noFile.length) parts.push(`no week file: ${noFile.join(", ")}`);
+    throw new Error(`data/manifest.json does not match the week files (${parts.join("; ")}). Run: node scripts/build-data.js`);
+  }
+
+  const weekDataByWeek = loadWeeks(weeksAsc);
+  // Same song merges as the site (data/songs.json is optional)
+  const songsFile = path.join(DATA_DIR, core.SONG_IDENTITY_FILE);
+  const songIdentity = core.buildSongIdentity(fs.existsSync(songsFile) ? readJSON(songsFile) : null);
+
+  const index = core.buildDerivedIndex(weeksAsc, weekDataByWeek, songIdentity);
+
+  const out = path.join(DATA_DIR, core.DERIVED_INDEX_FILE);
+  writeText(out, formatIndex(index));
+
+  for (const [w, ranks] of Object.entries(index.duplicates)) {
+    console.warn(`${w}: #${ranks.join(", #")} repeat a song listed higher up, counted once (see scripts/validate.js)`);
+  }
+
+  const songCount = Object.keys(index.songs).length;
+  console.log(`Wrote ${path.relative(ROOT_DIR, out)}: ${weeksAsc.length} weeks, ${songCount} songs`);
+}
+
+main();
@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+/* =========================================
+   Nabnation Top 100 — scripts/build-share.js
+   Node side of sharecard.js: renders share images with a canvas package
+   and writes what a link preview needs for each week:
+   - share/<week>.png   the week's top 10 (1200 × 630)
+   - share/<week>.html  a small page with that week's og:/twitter: tags
+                        that redirects visitors to ?week=<week>
+   GitHub Pages serves files as-is (no rewrites), so share/<week>.html is
+   the link to post: it unfurls, then opens the chart ("Share link" in
+   the chart page's export menu copies it). Stubs are written for every
+   week, even with --week, so a shared link never 404s. Run after each
+   new week.
+
+   Needs @napi-rs/canvas (or node-canvas), not a site dependency:
+     npm install --no-save @napi-rs/canvas
+
+   Usage:
+     node scripts/build-share.js                     every week in the manifest
+     node scripts/build-share.js --week 2026-04-28   render one week's image (repeatable)
+     node scripts/build-share.js --song "<songKey>"  share/song-<slug>.png chart-run card
+     node scripts/build-share.js --site-url https://example.org/
+                                                     absolute URL for og:image (default: CNAME, then og:url in index.html)
+========================================= */
+
+const fs = require("fs");
+const path = require("path");
+const core = require("../core.js");
+const share = require("../sharecard.js");
+const { ROOT_DIR, loadData, readManifestWeeks, writeText } = require("./lib/data.js");
+
+const SHARE_DIR = path.join(ROOT_DIR, "share");
+
+function parseArgs(argv) {
+  const args = { weeks: [], songs: [], siteUrl: null };
+  argv.forEach((a, i) => {
+    if (a === "--week" && argv[i + 1]) args.weeks.push(argv[i + 1]);
+    if (a === "--song" && argv[i + 1]) args.songs.push(argv[i + 1]);
+    if (a === "--site-url" && argv[i + 1]) args.siteUrl = argv[i + 1];
+  });
+  return args;
+}
+
+// Optional: the site itself never needs it
+function loadCanvasLib() {
+  for (const name of ["@napi-rs/canvas", "canvas"]) {
+    try {
+      return require(name);
+    } catch (e) {
+      if (e.code !== "MODULE_NOT_FOUND") throw e;
+    }
+  }
+  return null;
+}
+
+// Covers are site-relative paths ("covers/x.png")
+function coverLoader(canvasLib) {
+  return (src) => {
+    const file = path.join(ROOT_DIR, decodeURIComponent(src));
+    if (!file.startsWith(ROOT_DIR) || !fs.existsSync(file)) return Promise.reject(new Error(`No cover: ${src}`));
+    return canvasLib.loadImage(file);
+  };
+}
+
+async function writePng(canvasLib, file, render) {
+  const canvas = await render(canvasLib.createCanvas(share.SHARE_W, share.SHARE_H));
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, canvas.toBuffer("image/png"));
+}
+
+// ---------- per-week HTML stub ----------
+function escapeAttr(s) {
+  return String(s ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+// The live host: CNAME (GitHub Pages custom domain), else index.html's og:url
+function defaultSiteUrl(indexHtml) {
+  const cnameFile = path.join(ROOT_DIR, "CNAME");
+  const cname = fs.existsSync(cnameFile) ? fs.readFileSync(cnameFile, "utf8").trim() : "";
+  if (cname) return `https://${cname}/`;
+  return /<meta property="og:url" content="([^"]+)"/.exec(indexHtml)?.[1] || null;
+}
+
+function weekStubHtml(siteUrl, week, rows) {
+  const top = rows[0];
+  const title = `Nabnation Top 100 — Week of ${week}`;
+  const description = top
+    ? `#1 ${top.title} — ${top.artist}. ${rows.slice(1, 5).map(r => `#${r.rank} ${r.title}`).join(", ")}…`
+    : "Weekly chart powered by Last.fm scrobbles.";
+  const image = new URL(`share/${week}.png`, siteUrl).href;
+  const chart = `../?week=${week}`;
+  const meta = (attr, name, value) => `  <meta ${attr}="${name}" content="${escapeAttr(value)}" />`;
+
+  return [
+    "<!doctype html>",
+    `<html lang="en">`,
+    "<head>",
+    `  <meta charset="utf-8" />`,
+    `  <title>${escapeAttr(title)}</title>`,
+    meta("name", "description", description),
+    meta("property", "og:site_name", "Nabnation Top 100"),
+    meta("property", "og:type", "website"),
+    meta("property", "og:title", title),
+    meta("property", "og:description", description),
+    meta("property", "og:url", new URL(`share/${week}.html`, siteUrl).href),
+    meta("property", "og:image", image),
+    meta("property", "og:image:type", "image/png"),
+    meta("property", "og:image:width", String(share.SHARE_W)),
+    meta("property", "og:image:height", String(share.SHARE_H)),
+    meta("name", "twitter:card", "summary_large_image"),
+    meta("name", "twitter:title", title),
+    meta("name", "twitter:description", description),
+    meta("name", "twitter:image", image),
+    `  <meta http-equiv="refresh" content="0; url=${chart}" />`,
+    `  <link rel="icon" href="../assets/icon.webp" type="image/webp" />`,
+    `  <script>location.replace("${chart}");</script>`,
+    "</head>",
+    "<body>",
+    `  <p><a href="${chart}">${escapeAttr(title)}</a></p>`,
+    "</body>",
+    "</html>",
+    ""
+  ].join("\n");
+}
+
+// ---------- main ----------
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const canvasLib = loadCanvasLib();
+  if (!canvasLib) {
+    console.error("Share images need a canvas package. Install one (not a site dependency) and run again:");
+    console.error("  npm install --no-save @napi-rs/canvas    (or: npm install --no-save canvas)");
+    process.exitCode = 1;
+    return;
+  }
+  const loadImage = coverLoader(canvasLib);
+
+  const weeksDesc = readManifestWeeks();
+  if (!weeksDesc.length) throw new Error("No weeks found in data/manifest.json");
+  const unknown = args.weeks.filter(w => !weeksDesc.includes(w));
+  if (unknown.length) throw new Error(`Not in data/manifest.json: ${unknown.join(", ")}`);
+  const identity = core.buildArtistIdentity(await loadData(core.ARTIST_IDENTITY_FILE).catch(() => null));
+
+  if (args.songs.length) {
+    const loaded = await core.loadFullIndex(loadData, weeksDesc);
+    for (const key of args.songs) {
+      const song = core.songDetailFromIndex(loaded.index, key, identity);
+      if (!song) throw new Error(`Song not found: ${key}`);
+      const file = path.join(SHARE_DIR, `song-${core.coverSlug(song.title, song.artist)}.png`);
+      await writePng(canvasLib, file, canvas => share.renderSongCard(canvas, song, loaded.weeksAsc, loadImage));
+      console.log(`Wrote ${path.relative(ROOT_DIR, file)}`);
+    }
+    if (!args.weeks.length) return;
+  }
+
+  const indexHtml = fs.readFileSync(path.join(ROOT_DIR, "index.html"), "utf8");
+  const siteUrl = args.siteUrl || defaultSiteUrl(indexHtml);
+  if (!siteUrl) throw new Error("No --site-url, no CNAME and no og:url in index.html");
+
+  const render = new Set(args.weeks.length ? args.weeks : weeksDesc);
+  fs.mkdirSync(SHARE_DIR, { recursive: true });
+  for (const week of weeksDesc.slice().reverse()) {
+    const loaded = await core.loadChartWeek(loadData, weeksDesc, week);
+    const awards = core.computeAwardsForWeek(loaded.entries, core.awardContext(loaded, loaded.weeksAsc, identity));
+    const rows = share.shareWeekRows(loaded.entries, awards);
+
+    if (render.has(week)) {
+      await writePng(canvasLib, path.join(SHARE_DIR, `${week}.png`), canvas => share.renderWeekCard(canvas, week, rows, loadImage));
+    }
+    writeText(path.join(SHARE_DIR, `${week}.html`), weekStubHtml(siteUrl, week, rows));
+  }
+
+  console.log(`Wrote ${render.size} share image(s) + ${weeksDesc.length} page(s) in share/ (og:image base ${siteUrl})`);
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exitCode = 1;
+});
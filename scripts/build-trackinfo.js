@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+/* =========================================
+   Nabnation Top 100 — scripts/build-trackinfo.js
+   Writes data/trackinfo.json from the Last.fm track.getInfo cache
+   (.cache/trackinfo_*.json, see lib/lastfm.js), one line per song:
+   - songs: songKey -> { url, mbid, artistMbid, album, duration (seconds),
+     listeners, playcount, tags } (empty fields left out)
+   The expand panel (chart.js) and song pages (song.js) read this file.
+   Songs the cache has nothing for are listed so they can be fetched.
+
+   Usage:
+     node scripts/build-trackinfo.js             write data/trackinfo.json, list missing songs
+     node scripts/build-trackinfo.js --check     exit 1 if data/trackinfo.json is out of date
+     node scripts/build-trackinfo.js --json      missing-songs report as JSON on stdout
+========================================= */
+
+const fs = require("fs");
+const path = require("path");
+const core = require("../core.js");
+const { ROOT_DIR, DATA_DIR, readJSON, listWeekFiles, loadWeeks, jsonDiff, stringifyCompact, writeText } = require("./lib/data.js");
+const { CACHE_DIR, readTrackCache, tracksBySong } = require("./lib/lastfm.js");
+
+const MAX_TAGS = 5;
+
+function count(v) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+function compactTrack(track) {
+  const tags = (Array.isArray(track.toptags?.tag) ? track.toptags.tag : [])
+    .map(t => core.safeText(t?.name, "").toLowerCase())
+    .filter(Boolean)
+    .slice(0, MAX_TAGS);
+
+  const info = {
+    url: core.safeText(track.url, ""),
+    mbid: core.safeText(track.mbid, ""),
+    artistMbid: core.safeText(track.artist?.mbid, ""),
+    album: core.cleanTitle(track.album?.title),
+    duration: Math.round(count(track.duration) / 1000),
+    listeners: count(track.listeners),
+    playcount: count(track.playcount),
+    tags
+  };
+  return Object.fromEntries(Object.entries(info).filter(([, v]) => Array.isArray(v) ? v.length : v));
+}
+
+function buildTrackInfo(weeksAsc, weekDataByWeek, songIdentity, cache) {
+  const { tracks, songs: chartSongs } = tracksBySong(weeksAsc, weekDataByWeek, songIdentity, cache);
+  const songs = {};
+  const missing = [];
+
+  for (const [key, track] of tracks.entries()) {
+    if (track) songs[key] = compactTrack(track);
+    else missing.push({ key, ...chartSongs.get(key) });
+  }
+
+  missing.sort((a, b) => a.peak - b.peak || b.weeks - a.weeks || a.key.localeCompare(b.key));
+  const sorted = Object.fromEntries(Object.keys(songs).sort().map(k => [k, songs[k]]));
+  return { data: { songs: sorted }, missing };
+}
+
+function main() {
+  const weeksAsc = listWeekFiles();
+  if (!weeksAsc.length) throw new Error("No data/YYYY-MM-DD.json week files found");
+
+  const cache = readTrackCache();
+  if (!cache.byFile.size) throw new Error(`No trackinfo_*.json files in ${path.relative(ROOT_DIR, CACHE_DIR)}/`);
+
+  const songsFile = path.join(DATA_DIR, core.SONG_IDENTITY_FILE);
+  const songIdentity = core.buildSongIdentity(fs.existsSync(songsFile) ? readJSON(songsFile) : null);
+  const { data, missing } = buildTrackInfo(weeksAsc, loadWeeks(weeksAsc), songIdentity, cache);
+
+  if (process.argv.includes("--json")) {
+    console.log(JSON.stringify(missing, null, 2));
+    return;
+  }
+
+  const out = path.join(DATA_DIR, core.TRACKINFO_FILE);
+  const rel = path.relative(ROOT_DIR, out);
+  const summary = `${Object.keys(data.songs).length} songs with Last.fm info, ${missing.length} with none`;
+
+  if (process.argv.includes("--check")) {
+    const diff = fs.existsSync(out) ? jsonDiff(readJSON(out), data) : ["missing"];
+    if (!diff.length) {
+      console.log(`✓ ${rel} (${summary})`);
+      return;
+    }
+    console.log(`✗ ${rel} is out of date (${diff.length} change(s)). Run: node scripts/build-trackinfo.js`);
+    process.exitCode = 1;
+    return;
+  }
+
+  writeText(out, `{\n  "songs": ${stringifyCompact(data.songs, 1, "  ")}\n}\n`);
+  console.log(`Wrote ${rel}: ${summary}`);
+
+  if (missing.length) {
+    console.log(`\nNo cached Last.fm info — ${missing.length}`);
+    for (const s of missing) console.log(`  #${s.peak} peak, ${s.weeks} wk  ${s.artist} — ${s.title}`);
+  }
+}
+
+main();
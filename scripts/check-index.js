@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+/* =========================================
+   Nabnation Top 100 — scripts/check-index.js
+   Regression check for data/derived.json: every week is derived twice,
+   from the index (what the site uses when it is fresh) and from a full
+   scan of the week files (core.js buildDerived), and the two must agree
+   on each entry's stats, the week's awards and its milestones.
+   The index keeps each song's latest spelling only, so the weeks that
+   matter most are the ones where a song charted under an older spelling
+   ("CORTIS" before "Cortis"); they are listed so a clean run shows they
+   were covered.
+
+   Usage:
+     node scripts/check-index.js                    every week in the manifest
+     node scripts/check-index.js --week 2025-09-16  one week (repeatable)
+   Exits 1 when a week is stale or the two disagree.
+========================================= */
+
+const core = require("../core.js");
+const { loadData, readManifestWeeks, loadWeeks } = require("./lib/data.js");
+
+const MAX_DIFF_LINES = 10;
+
+function parseArgs(argv) {
+  const weeks = [];
+  argv.forEach((a, i) => {
+    if (a === "--week" && argv[i + 1]) weeks.push(argv[i + 1]);
+  });
+  return { weeks };
+}
+
+// Entry stats without the (shared, mutable) history array
+function entryText(e) {
+  return JSON.stringify({ ...e, history: undefined });
+}
+
+// "songKey: text" lines for an awards / milestones map
+function badgeLines(map) {
+  return [...map.entries()].flatMap(([key, list]) => list.map(b => `${key}: ${b.text}`)).sort();
+}
+
+function diffLines(label, a, b) {
+  const inB = new Set(b);
+  const inA = new Set(a);
+  return [
+    ...a.filter(x => !inB.has(x)).map(x => `${label} index only: ${x}`),
+    ...b.filter(x => !inA.has(x)).map(x => `${label} scan only: ${x}`)
+  ];
+}
+
+function checkWeek(index, weeksAsc, weekDataByWeek, week, songIdentity, identity) {
+  const upTo = weeksAsc.slice(0, weeksAsc.indexOf(week) + 1);
+  const weekData = weekDataByWeek.get(week);
+  if (!core.isDerivedIndexFresh(index, upTo, week, weekData)) return { week, stale: true, diffs: [], respelled: [] };
+
+  const fromIndex = core.derivedStateFromIndex(index, week);
+  const fromScan = core.buildDerived(upTo, weekDataByWeek, week, songIdentity);
+  const a = core.deriveWeekEntries(weekData.entries, week, fromIndex);
+  const b = core.deriveWeekEntries(weekData.entries, week, fromScan);
+
+  const diffs = [];
+  a.forEach((e, i) => {
+    if (entryText(e) !== entryText(b[i])) diffs.push(`#${e.rank} ${e.title} — ${e.artist}: entry stats differ`);
+  });
+
+  const awards = [a, b].map((entries, i) => {
+    const state = i ? fromScan : fromIndex;
+    return badgeLines(core.computeAwardsForWeek(entries, core.awardContext(state, upTo, identity)));
+  });
+  diffs.push(...diffLines("award", awards[0], awards[1]));
+
+  const milestones = [a, b].map((entries, i) => {
+    const state = i ? fromScan : fromIndex;
+    return badgeLines(core.computeMilestonesForWeek(entries, state.historyMap, state.songInfo, upTo, identity));
+  });
+  diffs.push(...diffLines("milestone", milestones[0], milestones[1]));
+
+  // Entries credited differently than the song's latest (index) spelling
+  const respelled = a
+    .filter(e => !e.duplicateOf && fromIndex.songInfo.get(e._key)?.artist !== e.artist)
+    .map(e => `${e.title}: ${e.artist} → ${fromIndex.songInfo.get(e._key)?.artist}`);
+
+  return { week, stale: false, diffs, respelled };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const weeksDesc = readManifestWeeks();
+  const weeksAsc = weeksDesc.slice().reverse();
+  const targets = args.weeks.length ? args.weeks : weeksAsc;
+
+  const unknown = targets.filter(w => !weeksDesc.includes(w));
+  if (unknown.length) throw new Error(`Not in data/manifest.json: ${unknown.join(", ")}`);
+
+  const index = await loadData(core.DERIVED_INDEX_FILE);
+  const weekDataByWeek = loadWeeks(weeksAsc);
+  const songIdentity = await core.loadSongIdentity(loadData);
+  const identity = core.buildArtistIdentity(await loadData(core.ARTIST_IDENTITY_FILE).catch(() => null));
+
+  let failed = 0;
+  let respelledWeeks = 0;
+  for (const week of targets) {
+    const r = checkWeek(index, weeksAsc, weekDataByWeek, week, songIdentity, identity);
+    if (r.respelled.length) respelledWeeks += 1;
+
+    if (r.stale) {
+      failed += 1;
+      console.log(`✗ ${week}: ${core.DERIVED_INDEX_FILE} is stale for this week. Run: node scripts/build-index.js`);
+      continue;
+    }
+    if (!r.diffs.length) {
+      const note = r.respelled.length ? ` (${r.respelled.length} older spelling(s), e.g. ${r.respelled[0]})` : "";
+      console.log(`✓ ${week}${note}`);
+      continue;
+    }
+
+    failed += 1;
+    console.log(`✗ ${week}: index and full scan disagree (${r.diffs.length} difference(s))`);
+    for (const line of r.diffs.slice(0, MAX_DIFF_LINES)) console.log(`    ${line}`);
+    if (r.diffs.length > MAX_DIFF_LINES) console.log(`    … and ${r.diffs.length - MAX_DIFF_LINES} more`);
+  }
+
+  console.log(`\n${targets.length - failed}/${targets.length} week(s) agree • ${respelledWeeks} with older artist spellings`);
+  if (failed) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exitCode = 1;
+});
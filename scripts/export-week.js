@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/* =========================================
+   Nabnation Top 100 — scripts/export-week.js
+   CLI version of the chart page's export menu: one derived week (rank,
+   movement, title, artist, LW, peak, weeks, points, awards) as CSV, JSON,
+   a Markdown table or Discord messages (core.js exportWeek).
+   Discord text is split into messages under 2000 characters; on stdout
+   they are separated by a "----- message n/N -----" line.
+
+   Usage:
+     node scripts/export-week.js                               latest week as Markdown
+     node scripts/export-week.js --week 2026-04-28 --format csv
+     node scripts/export-week.js --format discord --out out/   one file per message
+     node scripts/export-week.js --format json --out week.json
+   Formats: csv, json, markdown, discord
+========================================= */
+
+const fs = require("fs");
+const path = require("path");
+const core = require("../core.js");
+const { loadData, readManifestWeeks } = require("./lib/data.js");
+
+function parseArgs(argv) {
+  const args = { week: null, format: "markdown", out: null };
+  argv.forEach((a, i) => {
+    if (a === "--week" && argv[i + 1]) args.week = argv[i + 1];
+    if (a === "--format" && argv[i + 1]) args.format = argv[i + 1];
+    if (a === "--out" && argv[i + 1]) args.out = argv[i + 1];
+  });
+  return args;
+}
+
+// A directory (or a path ending in /) gets one file per part
+function writeParts(out, week, format, parts) {
+  const ext = core.EXPORT_FORMATS[format].ext;
+  const isDir = /[\\/]$/.test(out) || (fs.existsSync(out) && fs.statSync(out).isDirectory());
+  if (!isDir) {
+    fs.writeFileSync(out, parts.join("\n"));
+    return [out];
+  }
+
+  fs.mkdirSync(out, { recursive: true });
+  return parts.map((text, i) => {
+    const suffix = parts.length > 1 ? `-${i + 1}` : "";
+    const file = path.join(out, `nabnation-top-100-${week}${suffix}.${ext}`);
+    fs.writeFileSync(file, text);
+    return file;
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!core.EXPORT_FORMATS[args.format]) {
+    throw new Error(`Unknown format: ${args.format} (${Object.keys(core.EXPORT_FORMATS).join(", ")})`);
+  }
+
+  const weeksDesc = readManifestWeeks();
+  const week = args.week || weeksDesc[0];
+  if (!weeksDesc.includes(week)) throw new Error(`Not in data/manifest.json: ${week}`);
+
+  // Same steps as the chart page: derived entries + this week's awards
+  const loaded = await core.loadChartWeek(loadData, weeksDesc, week);
+  const identity = core.buildArtistIdentity(await loadData(core.ARTIST_IDENTITY_FILE).catch(() => null));
+  const awards = core.computeAwardsForWeek(loaded.entries, core.awardContext(loaded, loaded.weeksAsc, identity));
+  const parts = core.exportWeek(args.format, week, core.exportWeekRows(loaded.entries, awards));
+
+  if (args.out) {
+    for (const file of writeParts(args.out, week, args.format, parts)) console.log(`Wrote ${file}`);
+    return;
+  }
+
+  if (parts.length === 1) {
+    process.stdout.write(parts[0].endsWith("\n") ? parts[0] : `${parts[0]}\n`);
+    return;
+  }
+  parts.forEach((text, i) => {
+    console.log(`----- message ${i + 1}/${parts.length} (${text.length} chars) -----`);
+    console.log(text);
+  });
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exitCode = 1;
+});
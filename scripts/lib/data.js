@@ -0,0 +1,141 @@
+/* =========================================
+   Nabnation Top 100 — scripts/lib/data.js
+   File helpers shared by the Node build scripts.
+========================================= */
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT_DIR = path.join(__dirname, "..", "..");
+const DATA_DIR = path.join(ROOT_DIR, "data");
+
+function readJSON(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// Same contract as the browser's loadJSON-by-name: throws when the file is missing
+async function loadData(name) {
+  return readJSON(path.join(DATA_DIR, name));
+}
+
+// Weeks listed in data/manifest.json, newest first (same as the chart page)
+function readManifestWeeks() {
+  const manifest = readJSON(path.join(DATA_DIR, "manifest.json"));
+  return Array.isArray(manifest?.weeks) ? manifest.weeks.slice() : [];
+}
+
+// Week files actually on disk (data/YYYY-MM-DD.json), oldest first
+function listWeekFiles() {
+  return fs.readdirSync(DATA_DIR)
+    .map(f => /^(\d{4}-\d{2}-\d{2})\.json$/.exec(f))
+    .filter(Boolean)
+    .map(m => m[1])
+    .sort();
+}
+
+// Pre-repair copies in data/_backup_before_repair/, oldest first
+function listBackupWeeks(backupDir) {
+  const dir = path.join(DATA_DIR, backupDir);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .map(f => /^(\d{4}-\d{2}-\d{2})\.json$/.exec(f))
+    .filter(Boolean)
+    .map(m => m[1])
+    .sort();
+}
+
+// Load every listed week into a Map; missing files become empty weeks
+function loadWeeks(weeksAsc) {
+  const weekDataByWeek = new Map();
+  for (const w of weeksAsc) {
+    const file = path.join(DATA_DIR, `${w}.json`);
+    if (!fs.existsSync(file)) {
+      console.warn(`Missing week file: ${path.relative(ROOT_DIR, file)}`);
+      weekDataByWeek.set(w, { week: w, entries: [] });
+      continue;
+    }
+    weekDataByWeek.set(w, readJSON(file));
+  }
+  return weekDataByWeek;
+}
+
+// Pretty-print objects but keep arrays and leaf objects on one line.
+// `depth` is how many object levels get their own lines.
+function stringifyCompact(value, depth = 1, indent = "") {
+  if (depth <= 0 || value === null || typeof value !== "object" || Array.isArray(value)) {
+    return JSON.stringify(value);
+  }
+  const inner = `${indent}  `;
+  const keys = Object.keys(value);
+  if (!keys.length) return "{}";
+  const lines = keys.map(k => `${inner}${JSON.stringify(k)}: ${stringifyCompact(value[k], depth - 1, inner)}`);
+  return `{\n${lines.join(",\n")}\n${indent}}`;
+}
+
+// data/derived.json layout: one line per song (songs), per song-week (byWeek)
+// and per week with repeated rows (duplicates) so diffs stay readable
+function formatIndex(index) {
+  const depthByKey = { aliases: 1, duplicates: 1, songs: 1, byWeek: 2 };
+  const lines = Object.keys(index).map(k => `  ${JSON.stringify(k)}: ${stringifyCompact(index[k], depthByKey[k] || 0, "  ")}`);
+  return `{\n${lines.join(",\n")}\n}\n`;
+}
+
+// Structural diff of two JSON values: one line per changed path.
+// Used by the --check modes so CI output points at what drifted.
+function jsonDiff(a, b, pathStr = "", out = []) {
+  if (a === b) return out;
+
+  const isObj = (v) => v !== null && typeof v === "object";
+  if (!isObj(a) || !isObj(b) || Array.isArray(a) !== Array.isArray(b)) {
+    if (JSON.stringify(a) !== JSON.stringify(b)) {
+      if (a === undefined) out.push(`+ ${pathStr}: ${JSON.stringify(b)}`);
+      else if (b === undefined) out.push(`- ${pathStr}: ${JSON.stringify(a)}`);
+      else out.push(`~ ${pathStr}: ${JSON.stringify(a)} -> ${JSON.stringify(b)}`);
+    }
+    return out;
+  }
+
+  if (Array.isArray(a)) {
+    const len = Math.max(a.length, b.length);
+    for (let i = 0; i < len; i++) jsonDiff(a[i], b[i], `${pathStr}[${i}]`, out);
+    return out;
+  }
+
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  for (const k of keys) {
+    const next = /^[A-Za-z_$][\w$]*$/.test(k) ? `${pathStr}.${k}` : `${pathStr}[${JSON.stringify(k)}]`;
+    jsonDiff(a[k], b[k], next, out);
+  }
+  return out;
+}
+
+// Generated data files follow the existing ones: CRLF, no trailing newline
+function writeText(file, text) {
+  fs.writeFileSync(file, text.replace(/\r?\n/g, "\r\n").replace(/(\r\n)+$/, ""));
+}
+
+// Week files come from the Python generator: two-space JSON, no trailing newline,
+// points always written as floats ("127.0"). Keep the file's own line endings
+// so rewriting a few entries doesn't touch every line.
+function writeWeekFile(file, data) {
+  const crlf = fs.existsSync(file) && fs.readFileSync(file, "utf8").includes("\r\n");
+  const text = JSON.stringify(data, null, 2)
+    .replace(/^(\s*"points": -?\d+)(,?)$/gm, "$1.0$2");
+  fs.writeFileSync(file, crlf ? text.replace(/\n/g, "\r\n") : text);
+}
+
+module.exports = {
+  ROOT_DIR,
+  DATA_DIR,
+  readJSON,
+  loadData,
+  readManifestWeeks,
+  listWeekFiles,
+  listBackupWeeks,
+  loadWeeks,
+  jsonDiff,
+  stringifyCompact,
+  formatIndex,
+  writeText,
+  writeWeekFile
+};
@@ -0,0 +1,90 @@
+/* =========================================
+   Nabnation Top 100 — scripts/lib/lastfm.js
+   Reads the Last.fm track.getInfo cache the chart generator leaves in
+   .cache/trackinfo_<md5("artist::title")>.json (not committed).
+   Shared by scripts/build-albums.js and scripts/build-trackinfo.js.
+========================================= */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const core = require("../../core.js");
+const { ROOT_DIR, readJSON } = require("./data.js");
+
+const CACHE_DIR = path.join(ROOT_DIR, ".cache");
+
+function cacheFile(artist, title) {
+  const hash = crypto.createHash("md5").update(`${artist}::${title}`).digest("hex");
+  return path.join(CACHE_DIR, `trackinfo_${hash}.json`);
+}
+
+// Every cached response by file name, plus a fallback by Last.fm's own names
+// (the cache key is the spelling the generator asked for, not always ours)
+function readTrackCache() {
+  const byFile = new Map();
+  const byName = new Map();
+  if (!fs.existsSync(CACHE_DIR)) return { byFile, byName };
+
+  for (const name of fs.readdirSync(CACHE_DIR)) {
+    if (!/^trackinfo_[0-9a-f]{32}\.json$/.test(name)) continue;
+    let track;
+    try {
+      track = readJSON(path.join(CACHE_DIR, name))?.track;
+    } catch (e) {
+      continue;
+    }
+    if (!track) continue;
+    byFile.set(path.join(CACHE_DIR, name), track);
+    byName.set(core.songMatchKey(track.name, track.artist?.name), track);
+  }
+  return { byFile, byName };
+}
+
+// raw = week file entry; tries the raw spelling, the cleaned one, then names
+function findCachedTrack(cache, raw) {
+  const title = core.cleanTitle(raw.title);
+  const artist = core.cleanArtistName(raw.artist);
+  return cache.byFile.get(cacheFile(raw.artist, raw.title)) ||
+    cache.byFile.get(cacheFile(artist, title)) ||
+    cache.byName.get(core.songMatchKey(title, artist)) ||
+    null;
+}
+
+// Week by week, the first cached track per song (merged spellings share one key)
+// plus what the chart knows about it, for reports
+function tracksBySong(weeksAsc, weekDataByWeek, songIdentity, cache) {
+  const songKeys = core.buildSongKeyMap(weeksAsc, weekDataByWeek, songIdentity);
+  const tracks = new Map();   // songKey -> track | null
+  const songs = new Map();    // songKey -> { title, artist, peak, weeks }
+
+  for (const w of weeksAsc) {
+    for (const raw of weekDataByWeek.get(w)?.entries || []) {
+      const title = core.cleanTitle(raw.title);
+      const artist = core.cleanArtistName(raw.artist);
+      const rank = Number(raw.rank);
+      if (!title || !artist) continue;
+
+      const key = core.stateSongKey({ songKeys }, title, artist);
+      if (!songs.has(key)) songs.set(key, { title, artist, peak: rank, weeks: 0 });
+      const s = songs.get(key);
+      s.weeks += 1;
+      if (Number.isFinite(rank) && rank < s.peak) s.peak = rank;
+
+      // later spellings can still fill in a track Last.fm knew no album for
+      const found = tracks.get(key);
+      if (found?.album?.title) continue;
+      const track = findCachedTrack(cache, raw);
+      if (track && (!found || track.album?.title)) tracks.set(key, track);
+      else if (!found) tracks.set(key, null);
+    }
+  }
+  return { tracks, songs };
+}
+
+module.exports = {
+  CACHE_DIR,
+  cacheFile,
+  readTrackCache,
+  findCachedTrack,
+  tracksBySong
+};
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+/* =========================================
+   Nabnation Top 100 — scripts/reconcile.js
+   CLI version of the chart page's ?debug=reconcile mode: lists every
+   entry whose stored lastWeek / peak / weeks / movement differs from
+   what the site derives (core.js), with a best guess at why.
+
+   Usage:
+     node scripts/reconcile.js                    every week in the manifest
+     node scripts/reconcile.js --week 2026-04-28  one week (repeatable)
+     node scripts/reconcile.js --json             JSON report on stdout
+========================================= */
+
+const core = require("../core.js");
+const { loadData, readManifestWeeks } = require("./lib/data.js");
+
+function parseArgs(argv) {
+  const weeks = [];
+  argv.forEach((a, i) => {
+    if (a === "--week" && argv[i + 1]) weeks.push(argv[i + 1]);
+  });
+  return { weeks, json: argv.includes("--json") };
+}
+
+function fmt(v) {
+  return (v === null || v === undefined) ? "—" : String(v);
+}
+
+function printHuman(reports) {
+  let total = 0;
+  for (const r of reports) {
+    if (!r.diffs.length) continue;
+    total += r.diffs.length;
+
+    console.log(`\n${r.week} — ${r.diffs.length} difference(s)${r.emptyWeeks.length ? ` • empty weeks: ${r.emptyWeeks.join(", ")}` : ""}`);
+    for (const d of r.diffs) {
+      const changes = d.fields.map(f => `${f} ${fmt(d.stored[f])} → ${fmt(d.derived[f])}`).join(", ");
+      console.log(`  #${d.rank} ${d.title} — ${d.artist}: ${changes}`);
+      for (const reason of d.reasons) console.log(`      · ${reason}`);
+    }
+  }
+  console.log(`\n${total} difference(s) across ${reports.length} week(s) (stored → derived)`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const weeksDesc = readManifestWeeks();
+  const targets = args.weeks.length ? args.weeks : weeksDesc.slice().reverse();
+
+  const unknown = targets.filter(w => !weeksDesc.includes(w));
+  if (unknown.length) throw new Error(`Not in data/manifest.json: ${unknown.join(", ")}`);
+
+  const reports = [];
+  for (const w of targets) {
+    const loaded = await core.loadChartWeek(loadData, weeksDesc, w);
+    reports.push(core.reconcileWeek(loaded.weekData, loaded.entries, loaded, loaded.weeksAsc));
+  }
+
+  if (args.json) console.log(JSON.stringify({ generatedAt: new Date().toISOString(), weeks: reports }, null, 2));
+  else printHuman(reports);
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exitCode = 1;
+});
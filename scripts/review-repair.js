@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/* =========================================
+   Nabnation Top 100 — scripts/review-repair.js
+   Diffs the pre-repair copies in data/_backup_before_repair/ against the
+   live week files (same as review.html): entries added, removed,
+   re-ranked, re-credited, retitled, plus cover and stat changes.
+   Changes can be reverted one by one by id.
+
+   Usage:
+     node scripts/review-repair.js                       summary of every backup
+     node scripts/review-repair.js 2025-10-14            every change for one week
+     node scripts/review-repair.js 2025-10-14 --json     same, as JSON
+     node scripts/review-repair.js 2025-10-14 --revert 3,7
+         put the backup version of changes 3 and 7 back into the live file
+   After a revert, run scripts/validate.js and scripts/build-data.js.
+========================================= */
+
+const fs = require("fs");
+const path = require("path");
+const core = require("../core.js");
+const { ROOT_DIR, DATA_DIR, readJSON, writeWeekFile } = require("./lib/data.js");
+
+function readRepairManifest() {
+  const file = path.join(DATA_DIR, core.REPAIR_MANIFEST_FILE);
+  if (!fs.existsSync(file)) throw new Error(`${path.relative(ROOT_DIR, file)} not found. Run: node scripts/build-data.js`);
+  return readJSON(file);
+}
+
+function loadPair(item) {
+  const backupFile = path.join(DATA_DIR, core.REPAIR_BACKUP_DIR, `${item.week}.json`);
+  const liveFile = item.live ? path.join(DATA_DIR, `${item.live}.json`) : null;
+  return {
+    backupFile,
+    liveFile,
+    backup: readJSON(backupFile),
+    live: liveFile && fs.existsSync(liveFile) ? readJSON(liveFile) : { week: item.week, entries: [] }
+  };
+}
+
+function parseIds(str) {
+  return String(str || "")
+    .split(",")
+    .map(s => Number(s.trim()))
+    .filter(n => Number.isInteger(n) && n > 0);
+}
+
+function rankText(c) {
+  if (c.kind === "added") return `new at #${c.rankAfter}`;
+  if (c.kind === "removed") return `was #${c.rankBefore}`;
+  return c.rankBefore === c.rankAfter ? `#${c.rankAfter}` : `#${c.rankBefore} → #${c.rankAfter}`;
+}
+
+function printWeek(item, diff) {
+  const live = item.live && item.live !== item.week ? ` (live file: ${item.live}.json)` : "";
+  console.log(`\n${item.week}${live} — ${diff.changes.length} change(s), ${diff.unchanged} unchanged`);
+
+  for (const c of diff.changes) {
+    console.log(`  [${c.id}] ${rankText(c)} ${c.title} — ${c.artist}  (${c.tags.join(", ")})`);
+    for (const f of c.fields) {
+      console.log(`        ${f.field}: ${core.repairValueText(f.field, f.before)} → ${core.repairValueText(f.field, f.after)}`);
+    }
+  }
+}
+
+function printSummary(rows) {
+  console.log("week        changes  added  removed  reranked  recredited  retitled  cover  stats");
+  for (const { item, diff } of rows) {
+    const n = diff.counts;
+    console.log([
+      item.week.padEnd(10),
+      String(diff.changes.length).padStart(8),
+      String(n.added).padStart(6),
+      String(n.removed).padStart(8),
+      String(n.reranked).padStart(9),
+      String(n.recredited).padStart(11),
+      String(n.retitled).padStart(9),
+      String(n.cover).padStart(6),
+      String(n.stats).padStart(6)
+    ].join(" "));
+  }
+  console.log("\nDetails: node scripts/review-repair.js <week>");
+}
+
+function revert(item, pair, diff, ids) {
+  if (!pair.liveFile) throw new Error(`${item.week} has no live week file to revert into`);
+
+  const unknown = ids.filter(id => !diff.changes.some(c => c.id === id));
+  if (unknown.length) throw new Error(`No change with id ${unknown.join(", ")} in ${item.week}`);
+
+  const next = core.revertRepairChanges(pair.live, diff, ids);
+  writeWeekFile(pair.liveFile, next);
+
+  console.log(`Reverted ${ids.length} change(s) in ${path.relative(ROOT_DIR, pair.liveFile)}: ${ids.join(", ")}`);
+  console.log("Next: node scripts/validate.js && node scripts/build-data.js");
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const asJson = args.includes("--json");
+  const revertIdx = args.indexOf("--revert");
+  const revertIds = revertIdx >= 0 ? parseIds(args[revertIdx + 1]) : [];
+  const weekArg = args.find((a, i) => !a.startsWith("--") && !(revertIdx >= 0 && i === revertIdx + 1)) || null;
+
+  const manifest = readRepairManifest();
+  const items = manifest.weeks || [];
+
+  if (!weekArg) {
+    if (revertIdx >= 0) throw new Error("--revert needs a week");
+    const rows = items.map((item) => {
+      const pair = loadPair(item);
+      return { item, diff: core.diffRepairWeek(pair.backup, pair.live) };
+    });
+    if (asJson) console.log(JSON.stringify(rows.map(r => ({ ...r.item, changes: r.diff.changes.length, counts: r.diff.counts })), null, 2));
+    else printSummary(rows);
+    return;
+  }
+
+  const item = items.find(i => i.week === weekArg);
+  if (!item) throw new Error(`No backup for ${weekArg} in data/${core.REPAIR_MANIFEST_FILE}`);
+
+  const pair = loadPair(item);
+  const diff = core.diffRepairWeek(pair.backup, pair.live);
+
+  if (revertIdx >= 0) {
+    if (!revertIds.length) throw new Error("--revert needs change ids, e.g. --revert 3,7");
+    revert(item, pair, diff, revertIds);
+    return;
+  }
+
+  if (asJson) console.log(JSON.stringify({ ...item, ...diff }, null, 2));
+  else printWeek(item, diff);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err.message || err);
+  process.exitCode = 1;
+}
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+/* =========================================
+   Nabnation Top 100 — scripts/song-duplicates.js
+   Lists songs that are probably one song under two keys, for review
+   before adding them to data/songs.json:
+   - merged: spellings the song identity layer already counts as one
+     song (case, punctuation, "(feat. …)"), so a wrong merge can be split
+   - version: same title once a remix / sped up / live tag is dropped
+   - close: titles a typo or two apart by the same lead artist
+   Pairs listed in "split", or already merged by hand, are left out.
+   Pairs that chart in the same week are marked: usually two songs.
+
+   Usage:
+     node scripts/song-duplicates.js          human summary
+     node scripts/song-duplicates.js --json   JSON report on stdout
+========================================= */
+
+const fs = require("fs");
+const path = require("path");
+const core = require("../core.js");
+const { DATA_DIR, readJSON, listWeekFiles, loadWeeks } = require("./lib/data.js");
+
+const CLOSE_MIN_LENGTH = 6;
+const CLOSE_MAX_DISTANCE = 2;
+
+// Every spelling: songKey -> { key, title, artist, weeks:Set }
+function collectSpellings(weeksAsc, weekDataByWeek) {
+  const spellings = new Map();
+  for (const w of weeksAsc) {
+    for (const raw of weekDataByWeek.get(w)?.entries || []) {
+      const title = core.cleanTitle(raw.title);
+      const artist = core.cleanArtistName(raw.artist);
+      if (!title || !artist) continue;
+
+      const key = core.songKey(title, artist);
+      if (!spellings.has(key)) spellings.set(key, { key, title, artist, weeks: new Set() });
+      spellings.get(key).weeks.add(w);
+    }
+  }
+  return spellings;
+}
+
+function sharesWeek(a, b) {
+  for (const w of a.weeks) if (b.weeks.has(w)) return true;
+  return false;
+}
+
+function describe(s) {
+  return { key: s.key, title: s.title, artist: s.artist, weeks: s.weeks.size };
+}
+
+function findDuplicates(weeksAsc, weekDataByWeek, songIdentity) {
+  const spellings = collectSpellings(weeksAsc, weekDataByWeek);
+  const songKeys = core.buildSongKeyMap(weeksAsc, weekDataByWeek, songIdentity);
+  const songOf = (k) => songKeys.get(k) || k;
+
+  const found = [];
+
+  // Already merged automatically (hand merges are someone's decision already)
+  for (const [from, to] of songKeys.entries()) {
+    if (songIdentity.merge.has(from) || !spellings.has(to)) continue;
+    found.push({ kind: "merged", a: describe(spellings.get(to)), b: describe(spellings.get(from)), sameWeek: false });
+  }
+
+  // Not merged: compare spellings of the same lead artist(s) pairwise
+  const byArtist = new Map();
+  for (const s of spellings.values()) {
+    const artistKey = core.songMatchKey("", s.artist);
+    if (!byArtist.has(artistKey)) byArtist.set(artistKey, []);
+    byArtist.get(artistKey).push(s);
+  }
+
+  for (const list of byArtist.values()) {
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length; j++) {
+        const a = list[i];
+        const b = list[j];
+        if (songOf(a.key) === songOf(b.key)) continue;
+        if (songIdentity.split.has(a.key) || songIdentity.split.has(b.key)) continue;
+
+        let kind = null;
+        const baseA = core.songBaseTitle(a.title);
+        const baseB = core.songBaseTitle(b.title);
+        if (baseA === baseB) {
+          kind = "version";
+        } else if (Math.min(baseA.length, baseB.length) >= CLOSE_MIN_LENGTH &&
+                   core.editDistance(baseA, baseB, CLOSE_MAX_DISTANCE) <= CLOSE_MAX_DISTANCE) {
+          kind = "close";
+        }
+        if (!kind) continue;
+
+        // Older spelling first: that is the key a merge would point at
+        const [first, second] = [...a.weeks][0] <= [...b.weeks][0] ? [a, b] : [b, a];
+        found.push({ kind, a: describe(first), b: describe(second), sameWeek: sharesWeek(a, b) });
+      }
+    }
+  }
+
+  const order = { merged: 0, version: 1, close: 2 };
+  return found.sort((x, y) => (order[x.kind] - order[y.kind]) || x.a.key.localeCompare(y.a.key) || x.b.key.localeCompare(y.b.key));
+}
+
+function printHuman(found) {
+  const labels = {
+    merged: "Merged automatically (add the second key to \"split\" if wrong)",
+    version: "Same title apart from a version tag",
+    close: "Titles a typo or two apart"
+  };
+
+  for (const kind of Object.keys(labels)) {
+    const list = found.filter(f => f.kind === kind);
+    if (!list.length) continue;
+    console.log(`\n${labels[kind]} — ${list.length}`);
+    for (const f of list) {
+      const note = f.sameWeek ? "  (same week: probably two songs)" : "";
+      console.log(`  ${f.a.artist} — ${f.a.title} [${f.a.weeks} wk]  ~  ${f.b.title} [${f.b.weeks} wk]${note}`);
+      // The line to paste into data/songs.json
+      console.log(kind === "merged" ? `    split: "${f.b.key}"` : `    merge: "${f.b.key}": "${f.a.key}"`);
+    }
+  }
+
+  if (!found.length) console.log("No likely duplicates.");
+  else console.log(`\n${found.length} pair(s). Merge by hand in data/${core.SONG_IDENTITY_FILE}, then run: node scripts/build-data.js`);
+}
+
+function main() {
+  const weeksAsc = listWeekFiles();
+  if (!weeksAsc.length) throw new Error("No data/YYYY-MM-DD.json week files found");
+
+  const songsFile = path.join(DATA_DIR, core.SONG_IDENTITY_FILE);
+  const songIdentity = core.buildSongIdentity(fs.existsSync(songsFile) ? readJSON(songsFile) : null);
+  const found = findDuplicates(weeksAsc, loadWeeks(weeksAsc), songIdentity);
+
+  if (process.argv.includes("--json")) console.log(JSON.stringify(found, null, 2));
+  else printHuman(found);
+}
+
+main();
@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+/* =========================================
+   Nabnation Top 100 — scripts/validate.js
+   Checks week files before they go live:
+   - ranks 1–100 present exactly once
+   - no duplicate song keys (core.js songKey)
+   - known movement types ("stay" is flagged as the legacy spelling of "same")
+   - artist/title junk that cleanArtistName has to strip, or can't
+   - cover paths with no file in covers/
+   - manifest weeks with no week file (and week files missing from the manifest)
+
+   Usage:
+     node scripts/validate.js                     all week files + manifest
+     node scripts/validate.js data/2026-05-05.json   just these files
+     node scripts/validate.js --json              JSON report on stdout
+     node scripts/validate.js --report out.json   human summary + JSON report file
+   Exits 1 when there are errors (warnings alone pass).
+========================================= */
+
+const fs = require("fs");
+const path = require("path");
+const core = require("../core.js");
+const { ROOT_DIR, DATA_DIR, readJSON, listWeekFiles, writeText } = require("./lib/data.js");
+
+const WEEK_FILE_RE = /^(\d{4}-\d{2}-\d{2})\.json$/;
+
+// Whatever is left after cleaning must not still look like chart junk
+// e.g. "(60.0 pts)", "42.5 pts", "(6 listeners)", "(new release)", trailing "*"
+const JUNK_RE = /\(\s*\d+(\.\d+)?\s*pts?\s*\)|\d+\.\d+\s*pts\b|\(\s*\d+\s*listeners?\s*\)|\bnew release\b|\*\s*$/i;
+
+function createReport() {
+  const issues = [];
+  return {
+    issues,
+    files: [],
+    add(level, code, file, message, extra = {}) {
+      issues.push({ level, code, file: file ? path.relative(ROOT_DIR, file) : null, message, ...extra });
+    }
+  };
+}
+
+function coverExists(cover) {
+  return fs.existsSync(path.join(ROOT_DIR, cover));
+}
+
+function validateWeekFile(file, report) {
+  report.files.push(path.relative(ROOT_DIR, file));
+  const add = (level, code, message, extra) => report.add(level, code, file, message, extra);
+
+  let data;
+  try {
+    data = readJSON(file);
+  } catch (e) {
+    add("error", "parse", `Not valid JSON: ${e.message}`);
+    return;
+  }
+
+  const fileWeek = WEEK_FILE_RE.exec(path.basename(file))?.[1] || null;
+  if (!data?.week) add("error", "week-missing", "No \"week\" field");
+  else if (fileWeek && data.week !== fileWeek) add("error", "week-mismatch", `File is ${fileWeek} but "week" says ${data.week}`);
+
+  if (!Array.isArray(data?.entries)) {
+    add("error", "entries-missing", "No \"entries\" array");
+    return;
+  }
+
+  // Ranks: 1..CHART_SIZE, each exactly once
+  const rankCount = new Map();
+  for (const e of data.entries) {
+    const rank = Number(e?.rank);
+    if (!Number.isInteger(rank) || rank < 1 || rank > core.CHART_SIZE) {
+      add("error", "rank-invalid", `Invalid rank ${JSON.stringify(e?.rank)} for "${e?.title}"`, { rank: e?.rank ?? null });
+      continue;
+    }
+    rankCount.set(rank, (rankCount.get(rank) || 0) + 1);
+  }
+  for (let r = 1; r <= core.CHART_SIZE; r++) {
+    const n = rankCount.get(r) || 0;
+    if (n === 0) add("error", "rank-missing", `Rank ${r} is missing`, { rank: r });
+    if (n > 1) add("error", "rank-duplicate", `Rank ${r} appears ${n} times`, { rank: r });
+  }
+
+  const seenKeys = new Map();
+  const aliasRanks = [];
+
+  for (const e of data.entries) {
+    const rank = e?.rank ?? null;
+    const rawArtist = core.safeText(e?.artist);
+    const rawTitle = core.safeText(e?.title);
+    const artist = core.cleanArtistName(rawArtist);
+    const title = core.cleanTitle(rawTitle);
+
+    // Names
+    if (!artist) add("error", "artist-empty", `#${rank}: artist is empty after cleaning (${JSON.stringify(e?.artist)})`, { rank });
+    else if (JUNK_RE.test(artist)) add("error", "artist-junk", `#${rank}: artist junk cleanArtistName can't strip: ${JSON.stringify(rawArtist)}`, { rank });
+    else if (artist !== rawArtist) add("warning", "artist-cleaned", `#${rank}: artist needs cleaning: ${JSON.stringify(rawArtist)} -> ${JSON.stringify(artist)}`, { rank });
+
+    if (!title) add("error", "title-empty", `#${rank}: title is empty`, { rank });
+    else if (JUNK_RE.test(title)) add("error", "title-junk", `#${rank}: title looks like it carries chart junk: ${JSON.stringify(rawTitle)}`, { rank });
+
+    // Duplicate songs
+    if (artist && title) {
+      const key = core.songKey(title, artist);
+      if (seenKeys.has(key)) add("error", "duplicate-song", `#${rank}: "${key}" already at #${seenKeys.get(key)}`, { rank, key });
+      else seenKeys.set(key, rank);
+    }
+
+    // Movement
+    const rawType = e?.movement?.type;
+    const type = core.normalizeMovementType(rawType);
+    if (!rawType) add("error", "movement-missing", `#${rank}: no movement type`, { rank });
+    else if (!core.MOVEMENT_TYPES.includes(type)) add("error", "movement-unknown", `#${rank}: unknown movement type ${JSON.stringify(rawType)}`, { rank });
+    else if (type !== rawType) aliasRanks.push(rank);
+
+    // Stats the chart page shows
+    for (const field of ["points", "listeners"]) {
+      if (core.numOrNull(e?.[field]) === null) add("warning", `${field}-missing`, `#${rank}: no numeric ${field}`, { rank });
+    }
+
+    // Cover
+    const cover = core.safeText(e?.cover);
+    if (!cover) add("warning", "cover-empty", `#${rank}: no cover`, { rank });
+    else if (!cover.includes("placeholder") && !coverExists(cover)) add("warning", "cover-missing", `#${rank}: cover file not found: ${cover}`, { rank, cover });
+  }
+
+  // One line per file, not one per entry: the generator writes "stay" everywhere
+  if (aliasRanks.length) {
+    const aliases = Object.entries(core.MOVEMENT_ALIASES).map(([from, to]) => `"${from}" -> "${to}"`).join(", ");
+    add("warning", "movement-alias", `${aliasRanks.length} entries use a legacy movement type (${aliases})`, { ranks: aliasRanks });
+  }
+}
+
+function validateManifest(report) {
+  const file = path.join(DATA_DIR, "manifest.json");
+  let manifest;
+  try {
+    manifest = readJSON(file);
+  } catch (e) {
+    report.add("error", "manifest-unreadable", file, `Can't read manifest: ${e.message}`);
+    return;
+  }
+
+  const weeks = Array.isArray(manifest?.weeks) ? manifest.weeks : [];
+  const onDisk = new Set(listWeekFiles());
+
+  for (const w of weeks) {
+    if (!onDisk.has(w)) report.add("error", "manifest-no-file", file, `Manifest lists ${w} but data/${w}.json does not exist`, { week: w });
+  }
+  for (const w of onDisk) {
+    if (!weeks.includes(w)) report.add("warning", "file-not-in-manifest", file, `data/${w}.json is not in the manifest`, { week: w });
+  }
+
+  const sorted = weeks.slice().sort().reverse();
+  if (sorted.join() !== weeks.join()) report.add("warning", "manifest-order", file, "Manifest weeks are not newest-first");
+
+  // latest.json should mirror the newest week
+  const latestFile = path.join(DATA_DIR, "latest.json");
+  if (weeks.length && fs.existsSync(latestFile)) {
+    try {
+      const latest = readJSON(latestFile);
+      if (latest?.week !== weeks[0]) report.add("warning", "latest-stale", latestFile, `latest.json is ${latest?.week} but the newest week is ${weeks[0]}`);
+    } catch (e) {
+      report.add("error", "parse", latestFile, `Not valid JSON: ${e.message}`);
+    }
+  }
+}
+
+function summarize(report) {
+  const errors = report.issues.filter(i => i.level === "error").length;
+  const warnings = report.issues.length - errors;
+  return {
+    generatedAt: new Date().toISOString(),
+    ok: errors === 0,
+    summary: { files: report.files.length, errors, warnings },
+    files: report.files,
+    issues: report.issues
+  };
+}
+
+function printHuman(result) {
+  const byFile = new Map();
+  for (const i of result.issues) {
+    const k = i.file || "(general)";
+    if (!byFile.has(k)) byFile.set(k, []);
+    byFile.get(k).push(i);
+  }
+
+  for (const [file, issues] of byFile.entries()) {
+    const errors = issues.filter(i => i.level === "error").length;
+    console.log(`\n${file} — ${errors} error(s), ${issues.length - errors} warning(s)`);
+    for (const i of issues) console.log(`  ${i.level === "error" ? "✗" : "!"} [${i.code}] ${i.message}`);
+  }
+
+  const s = result.summary;
+  console.log(`\n${result.ok ? "✓" : "✗"} ${s.files} file(s) checked: ${s.errors} error(s), ${s.warnings} warning(s)`);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const asJson = args.includes("--json");
+  const reportIdx = args.indexOf("--report");
+  const reportFile = reportIdx >= 0 ? args[reportIdx + 1] : null;
+  const files = args.filter((a, i) => !a.startsWith("--") && !(reportIdx >= 0 && i === reportIdx + 1));
+
+  const report = createReport();
+
+  if (files.length) {
+    for (const f of files) validateWeekFile(path.resolve(f), report);
+  } else {
+    for (const w of listWeekFiles()) validateWeekFile(path.join(DATA_DIR, `${w}.json`), report);
+    validateManifest(report);
+  }
+
+  const result = summarize(report);
+
+  if (asJson) console.log(JSON.stringify(result, null, 2));
+  else printHuman(result);
+
+  if (reportFile) writeText(path.resolve(reportFile), JSON.stringify(result, null, 2));
+
+  if (!result.ok) process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,318 @@
+/* =========================================
+   Nabnation Top 100 — sharecard.js
+   Share images drawn on a 2D canvas. Shared by the site (classic
+   <script>, after core.js) and scripts/build-share.js
+   (require("../sharecard.js")):
+   - Week card: the top 10 with covers, movement badges and awards
+   - Song card: cover, stats and the chart run
+   1200 × 630, the size Discord / Twitter / Facebook embeds expect.
+   Covers come in through loadImage(src), so each side loads them its own
+   way; a cover that fails to load is drawn as an empty tile.
+========================================= */
+
+// In Node the core.js helpers aren't globals
+const shareCore = (typeof module !== "undefined" && module.exports) ? require("./core.js") : globalThis;
+
+const SHARE_W = 1200;
+const SHARE_H = 630;
+const SHARE_TOP = 10;
+const SHARE_FONT = "system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif";
+
+// Same colours as styles.css (.move.*, .award*)
+const SHARE_COLORS = {
+  bg: "#0b0b0f",
+  card: "#12121a",
+  text: "#f4f6fb",
+  muted: "#9aa0aa",
+  line: "#6bd4b9",
+  gold: "#ffd37c",
+  move: { up: "#7CFFB2", down: "#FF7C7C", new: "#7CC7FF", re: "#D7B7FF", same: "#9aa0aa" },
+  award: {
+    awardJump: "#7CFFB2",
+    awardFall: "#FF7C7C",
+    awardDebut: "#7CC7FF",
+    awardReentry: "#D7B7FF",
+    awardSitter: "#6bd4b9",
+    awardGain: "#C8F27C",
+    awardListeners: "#FFB38C",
+    awardNewArtist: "#FF9CE0",
+    awardNo1: "#FFD37C"
+  }
+};
+
+// ---------- data ----------
+// entries: deriveWeekEntries output; awardsMap: computeAwardsForWeek result
+function shareWeekRows(entries, awardsMap, limit = SHARE_TOP) {
+  return entries.slice().sort((a, b) => a.rank - b.rank).slice(0, limit).map(e => ({
+    rank: e.rank,
+    title: e.title,
+    artist: e.artist,
+    cover: e.cover && !e.cover.includes("placeholder") ? e.cover : "",
+    movement: { type: shareCore.normalizeMovementType(e.movement?.type), value: e.movement?.value ?? null },
+    awards: e.duplicateOf ? [] : (awardsMap?.get(e._key) || []).map(a => ({ text: a.text, cls: a.cls }))
+  }));
+}
+
+function shareMoveBadge(mv) {
+  if (mv?.type === "new") return { text: "NEW", color: SHARE_COLORS.move.new };
+  if (mv?.type === "re") return { text: "RE", color: SHARE_COLORS.move.re };
+  if (mv?.type === "up") return { text: `▲ ${Math.abs(mv.value ?? 0)}`, color: SHARE_COLORS.move.up };
+  if (mv?.type === "down") return { text: `▼ ${Math.abs(mv.value ?? 0)}`, color: SHARE_COLORS.move.down };
+  return { text: "=", color: SHARE_COLORS.move.same };
+}
+
+// ---------- drawing helpers ----------
+function shareFont(size, weight = 400) {
+  return `${weight} ${size}px ${SHARE_FONT}`;
+}
+
+// Shorten with "…" until the text fits maxW
+function fitText(ctx, text, maxW) {
+  const s = String(text ?? "");
+  if (ctx.measureText(s).width <= maxW) return s;
+  let lo = 0;
+  let hi = s.length;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (ctx.measureText(`${s.slice(0, mid).trimEnd()}…`).width <= maxW) lo = mid;
+    else hi = mid - 1;
+  }
+  return `${s.slice(0, lo).trimEnd()}…`;
+}
+
+function roundRectPath(ctx, x, y, w, h, r) {
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.arcTo(x + w, y, x + w, y + h, r);
+  ctx.arcTo(x + w, y + h, x, y + h, r);
+  ctx.arcTo(x, y + h, x, y, r);
+  ctx.arcTo(x, y, x + w, y, r);
+  ctx.closePath();
+}
+
+function drawCover(ctx, img, x, y, size, r) {
+  ctx.save();
+  roundRectPath(ctx, x, y, size, size, r);
+  ctx.fillStyle = SHARE_COLORS.card;
+  ctx.fill();
+  if (img) {
+    ctx.clip();
+    ctx.drawImage(img, x, y, size, size);
+  }
+  ctx.restore();
+}
+
+function drawHeader(ctx, right) {
+  ctx.fillStyle = SHARE_COLORS.bg;
+  ctx.fillRect(0, 0, SHARE_W, SHARE_H);
+
+  ctx.textBaseline = "alphabetic";
+  ctx.textAlign = "left";
+  ctx.fillStyle = SHARE_COLORS.text;
+  ctx.font = shareFont(38, 800);
+  ctx.fillText("Nabnation Top 100", 48, 66);
+
+  ctx.textAlign = "right";
+  ctx.fillStyle = SHARE_COLORS.muted;
+  ctx.font = shareFont(24, 600);
+  ctx.fillText(right, SHARE_W - 48, 66);
+
+  ctx.fillStyle = SHARE_COLORS.line;
+  ctx.fillRect(48, 88, SHARE_W - 96, 2);
+  ctx.textAlign = "left";
+}
+
+async function loadShareImages(srcs, loadImage) {
+  return Promise.all(srcs.map(src => (src ? Promise.resolve().then(() => loadImage(src)).catch(() => null) : null)));
+}
+
+// ---------- week card ----------
+// Two columns of five: rank, cover, title / artist / first award, movement badge
+function drawWeekCard(ctx, week, rows, covers) {
+  drawHeader(ctx, `Week of ${week}`);
+
+  const colW = (SHARE_W - 96 - 32) / 2;
+  const rowH = 100;
+  const top = 112;
+  const cover = 72;
+
+  rows.forEach((r, i) => {
+    const x = 48 + (i < 5 ? 0 : colW + 32);
+    const y = top + (i % 5) * rowH;
+
+    if (i % 5) {
+      ctx.fillStyle = "rgba(255,255,255,.06)";
+      ctx.fillRect(x, y - 6, colW, 1);
+    }
+
+    ctx.textAlign = "right";
+    ctx.fillStyle = r.rank === 1 ? SHARE_COLORS.gold : SHARE_COLORS.text;
+    ctx.font = shareFont(32, 800);
+    ctx.fillText(String(r.rank), x + 44, y + 50);
+
+    drawCover(ctx, covers[i], x + 58, y + 6, cover, 8);
+
+    // Badge first so the title knows how much room is left
+    const badge = shareMoveBadge(r.movement);
+    ctx.font = shareFont(16, 800);
+    const badgeW = Math.max(44, ctx.measureText(badge.text).width + 18);
+    const badgeX = x + colW - badgeW;
+    ctx.save();
+    roundRectPath(ctx, badgeX, y + 24, badgeW, 28, 14);
+    ctx.strokeStyle = badge.color;
+    ctx.globalAlpha = 0.45;
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
+    ctx.restore();
+    ctx.textAlign = "center";
+    ctx.fillStyle = badge.color;
+    ctx.fillText(badge.text, badgeX + badgeW / 2, y + 44);
+
+    const textX = x + 58 + cover + 16;
+    const textW = badgeX - textX - 12;
+    ctx.textAlign = "left";
+    ctx.fillStyle = SHARE_COLORS.text;
+    ctx.font = shareFont(22, 700);
+    ctx.fillText(fitText(ctx, r.title, textW), textX, y + 30);
+    ctx.fillStyle = SHARE_COLORS.muted;
+    ctx.font = shareFont(17, 500);
+    ctx.fillText(fitText(ctx, r.artist, textW), textX, y + 54);
+
+    const award = r.awards[0];
+    if (award) {
+      const more = r.awards.length > 1 ? ` +${r.awards.length - 1}` : "";
+      ctx.fillStyle = SHARE_COLORS.award[award.cls] || SHARE_COLORS.line;
+      ctx.font = shareFont(15, 700);
+      ctx.fillText(fitText(ctx, `${award.text}${more}`, textW), textX, y + 77);
+    }
+  });
+}
+
+// canvas: a 2D canvas (browser <canvas> or @napi-rs/canvas / node-canvas)
+async function renderWeekCard(canvas, week, rows, loadImage) {
+  canvas.width = SHARE_W;
+  canvas.height = SHARE_H;
+  const covers = await loadShareImages(rows.map(r => r.cover), loadImage);
+  drawWeekCard(canvas.getContext("2d"), week, rows, covers);
+  return canvas;
+}
+
+// ---------- song card ----------
+// song: core.js songDetailFromIndex result; weeksAsc: every chart week
+function drawSongCard(ctx, song, weeksAsc, cover) {
+  drawHeader(ctx, song.onLatestChart ? `#${song.history[0].rank} this week` : `Last charted ${song.lastWeek}`);
+
+  const coverSize = 300;
+  drawCover(ctx, cover, 48, 122, coverSize, 14);
+
+  const x = 48 + coverSize + 40;
+  const w = SHARE_W - 48 - x;
+  ctx.fillStyle = SHARE_COLORS.text;
+  ctx.font = shareFont(42, 800);
+  ctx.fillText(fitText(ctx, song.title, w), x, 162);
+  ctx.fillStyle = SHARE_COLORS.muted;
+  ctx.font = shareFont(24, 600);
+  ctx.fillText(fitText(ctx, song.artist, w), x, 200);
+
+  const stats = [
+    `Peak #${song.peak}`,
+    `${song.weeks} week${song.weeks === 1 ? "" : "s"}`,
+    `Debut ${song.debutDate}`,
+    song.awards.length ? `${song.awards.length} award${song.awards.length === 1 ? "" : "s"}` : ""
+  ].filter(Boolean).join("  ·  ");
+  ctx.fillStyle = SHARE_COLORS.text;
+  ctx.font = shareFont(20, 600);
+  ctx.fillText(fitText(ctx, stats, w), x, 240);
+
+  drawSongRun(ctx, song.history, weeksAsc, { x, y: 272, w, h: 300 });
+}
+
+// Rank axis inverted (#1 on top), debut week to last week; missed weeks break the line
+function drawSongRun(ctx, history, weeksAsc, box) {
+  const byWeek = new Map(history.map(h => [h.week, h.rank]));
+  const charted = history.map(h => h.week).sort();
+  if (!charted.length) return;
+  const axis = (weeksAsc || []).filter(wk => wk >= charted[0] && wk <= charted[charted.length - 1]);
+  const weeks = axis.length ? axis : charted;
+
+  const pad = { left: 44, right: 12, top: 10, bottom: 30 };
+  const plotW = box.w - pad.left - pad.right;
+  const plotH = box.h - pad.top - pad.bottom;
+  const maxRank = shareCore.CHART_SIZE || 100;
+  const px = (i) => box.x + pad.left + (weeks.length === 1 ? plotW / 2 : (plotW * i) / (weeks.length - 1));
+  const py = (rank) => box.y + pad.top + ((rank - 1) / (maxRank - 1)) * plotH;
+
+  ctx.font = shareFont(14, 500);
+  ctx.textAlign = "right";
+  for (const r of [1, 25, 50, 75, 100]) {
+    ctx.fillStyle = "rgba(107,212,185,.18)";
+    ctx.fillRect(box.x + pad.left, py(r), plotW, 1);
+    ctx.fillStyle = SHARE_COLORS.muted;
+    ctx.fillText(`#${r}`, box.x + pad.left - 8, py(r) + 5);
+  }
+
+  ctx.strokeStyle = SHARE_COLORS.line;
+  ctx.lineWidth = 3;
+  ctx.lineJoin = "round";
+  ctx.lineCap = "round";
+  let drawing = false;
+  ctx.beginPath();
+  weeks.forEach((wk, i) => {
+    const rank = byWeek.get(wk);
+    if (rank === undefined) {
+      drawing = false;
+      return;
+    }
+    if (drawing) ctx.lineTo(px(i), py(rank));
+    else ctx.moveTo(px(i), py(rank));
+    drawing = true;
+  });
+  ctx.stroke();
+
+  const peak = Math.min(...history.map(h => h.rank));
+  weeks.forEach((wk, i) => {
+    const rank = byWeek.get(wk);
+    if (rank === undefined) return;
+    ctx.beginPath();
+    ctx.arc(px(i), py(rank), weeks.length > 40 ? 3 : 5, 0, Math.PI * 2);
+    ctx.fillStyle = rank === peak ? SHARE_COLORS.gold : SHARE_COLORS.card;
+    ctx.fill();
+    ctx.strokeStyle = rank === peak ? SHARE_COLORS.gold : SHARE_COLORS.line;
+    ctx.lineWidth = 2;
+    ctx.stroke();
+  });
+
+  ctx.fillStyle = SHARE_COLORS.muted;
+  ctx.font = shareFont(14, 500);
+  ctx.textAlign = "left";
+  ctx.fillText(weeks[0], box.x + pad.left, box.y + box.h - 6);
+  if (weeks.length > 1) {
+    ctx.textAlign = "right";
+    ctx.fillText(weeks[weeks.length - 1], box.x + pad.left + plotW, box.y + box.h - 6);
+  }
+  ctx.textAlign = "left";
+}
+
+async function renderSongCard(canvas, song, weeksAsc, loadImage) {
+  canvas.width = SHARE_W;
+  canvas.height = SHARE_H;
+  const src = song.cover && !song.cover.includes("placeholder") ? song.cover : "";
+  const [cover] = await loadShareImages([src], loadImage);
+  drawSongCard(canvas.getContext("2d"), song, weeksAsc, cover);
+  return canvas;
+}
+
+// ---------- Node export ----------
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    SHARE_W,
+    SHARE_H,
+    SHARE_TOP,
+    shareWeekRows,
+    shareMoveBadge,
+    drawWeekCard,
+    renderWeekCard,
+    drawSongCard,
+    renderSongCard
+  };
+}
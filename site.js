@@ -0,0 +1,561 @@
+/* =========================================
+   Nabnation Top 100 — site.js
+   - Browser helpers shared by the chart, artist and song pages
+   - Single-page navigation (History API) between index.html,
+     artist.html, song.html, records.html, albums.html, album.html and
+     tags.html:
+     links swap the page's header/main instead of reloading, each page
+     script is loaded once
+   - JSON is fetched once per visit (manifest, weeks, derived.json, catalog)
+   - Artist links go through the identity layer (core.js + data/artists.json):
+     aliases link to the canonical page, collaborations link each artist
+   - Header search: songs + artists from every week, grouped, with
+     arrow-key navigation (matching lives in core.js runSearch)
+   - Last.fm track info block (data/trackinfo.json) for the expand panel
+     and song pages
+   - Song tags (core.js buildTagLookup) for tags.html and the ?tag= filter
+   - Share image downloads (sharecard.js drawn on a <canvas>)
+   - Scroll position + expanded rows come back on back/forward
+   Deep links (?week=, artist.html?name=, song.html?key=) load normally.
+========================================= */
+
+const DATA_DIR = "./data";
+
+// ---------- small helpers ----------
+function qs(name) {
+  return new URLSearchParams(location.search).get(name);
+}
+
+function escapeHtml(str) {
+  return String(str ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+// Every page lives in the same folder, so "./" is the chart from anywhere
+function weekUrl(weekStr) {
+  return `./?week=${encodeURIComponent(weekStr)}`;
+}
+
+// share/<week>.html (scripts/build-share.js): unfurls with the week's
+// share image, then redirects to the chart. Absolute, for pasting elsewhere
+function weekShareUrl(weekStr) {
+  return new URL(`share/${encodeURIComponent(weekStr)}.html`, location.href).href;
+}
+
+// Aliases resolve to the canonical name once data/artists.json is in (see below)
+function artistUrl(artistName) {
+  const a = canonicalArtist(siteArtistIdentity, artistName);
+  return `artist.html?name=${encodeURIComponent(a)}`;
+}
+
+// "A & B feat. C" with a link per credited artist, separators kept as written
+function artistLinksHtml(artist, attrs = "") {
+  const parts = artistCreditParts(siteArtistIdentity, artist);
+  if (!parts.length) return escapeHtml(artist);
+  return parts.map(p => p.name
+    ? `<a href="${escapeHtml(artistUrl(p.name))}"${attrs}>${escapeHtml(p.text)}</a>`
+    : escapeHtml(p.text)
+  ).join("");
+}
+
+function songUrl(key) {
+  return `song.html?key=${encodeURIComponent(key)}`;
+}
+
+function albumUrl(id) {
+  return `album.html?id=${encodeURIComponent(id)}`;
+}
+
+function albumChartUrl(weekStr) {
+  return weekStr ? `albums.html?week=${encodeURIComponent(weekStr)}` : "albums.html";
+}
+
+function tagUrl(tag, weekStr) {
+  const params = new URLSearchParams();
+  if (tag) params.set("tag", tag);
+  if (weekStr) params.set("week", weekStr);
+  const q = params.toString();
+  return q ? `tags.html?${q}` : "tags.html";
+}
+
+// Points come as floats (287.5, 60.0) — show at most one decimal
+function fmtPoints(v) {
+  if (typeof v !== "number" || !Number.isFinite(v)) return "—";
+  return v.toLocaleString("en-US", { maximumFractionDigits: 1 });
+}
+
+function fmtCount(v) {
+  if (typeof v !== "number" || !Number.isFinite(v)) return "—";
+  return v.toLocaleString("en-US");
+}
+
+// Seconds -> "3:05"
+function fmtDuration(sec) {
+  if (typeof sec !== "number" || !Number.isFinite(sec) || sec <= 0) return "—";
+  const s = Math.round(sec);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+// Attach robust fallback to ALL images inside root
+function attachImgFallback(root) {
+  const imgs = root.querySelectorAll("img");
+  imgs.forEach((img) => {
+    img.addEventListener("error", () => {
+      // Prevent infinite loops
+      const tried = img.getAttribute("data-fallback-tried");
+      if (tried === "2") return;
+
+      const cur = img.getAttribute("src") || "";
+      // If it’s already the fallback, stop after second try
+      if (cur.includes("_placeholder")) {
+        img.setAttribute("data-fallback-tried", "2");
+        img.src = PLACEHOLDER_FALLBACK;
+        return;
+      }
+
+      if (cur.includes("placeholder.png") || cur.includes("covers/placeholder.png")) {
+        img.setAttribute("data-fallback-tried", "2");
+        img.src = PLACEHOLDER_PRIMARY;
+        return;
+      }
+
+      // First fallback attempt: try placeholder (no underscore)
+      img.setAttribute("data-fallback-tried", "1");
+      img.src = PLACEHOLDER_FALLBACK;
+    });
+  });
+}
+
+// Save a generated file (export menu, share images)
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// ---------- share images (sharecard.js) ----------
+// Covers are same-origin, so the canvas stays exportable
+function loadShareImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error(`Failed to load ${src}`));
+    img.src = src;
+  });
+}
+
+// render(canvas) -> Promise<canvas>; saves the result as a PNG
+async function downloadShareImage(render, filename) {
+  const canvas = await render(document.createElement("canvas"));
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, "image/png"));
+  if (!blob) throw new Error("Could not encode the share image");
+  downloadBlob(blob, filename);
+}
+
+// ---------- JSON cache ----------
+// One request per file per visit; pages must treat the results as read-only.
+const jsonCache = new Map();
+
+function loadJSON(path) {
+  const url = new URL(path, location.href).href;
+  if (!jsonCache.has(url)) {
+    const p = fetch(url, { cache: "no-store" }).then((res) => {
+      if (!res.ok) throw new Error(`Failed to load ${path} (${res.status})`);
+      return res.json();
+    });
+    // Don't keep failures around: the next visit should retry
+    p.catch(() => jsonCache.delete(url));
+    jsonCache.set(url, p);
+  }
+  return jsonCache.get(url);
+}
+
+// ---------- Last.fm track info (data/trackinfo.json) ----------
+// Shared by the chart expand panel and song pages.
+function loadSiteTrackInfo() {
+  return loadTrackInfo((name) => loadJSON(`${DATA_DIR}/${name}`));
+}
+
+// info: one data/trackinfo.json entry (or undefined)
+// opts: { listeners, listenersLabel, showAlbum } — our own listener count
+// sits next to Last.fm's global one
+function trackInfoHtml(info, opts = {}) {
+  if (!info) return `<div class="mutedSmall">No Last.fm info for this song yet.</div>`;
+
+  const ours = typeof opts.listeners === "number"
+    ? `<span>${escapeHtml(opts.listenersLabel || "Chart listeners")} <b>${escapeHtml(fmtCount(opts.listeners))}</b></span>`
+    : "";
+  const links = [
+    info.url ? `<a href="${escapeHtml(info.url)}" target="_blank" rel="noopener">Last.fm</a>` : "",
+    info.mbid ? `<a href="https://musicbrainz.org/recording/${encodeURIComponent(info.mbid)}" target="_blank" rel="noopener">MusicBrainz</a>` : "",
+    info.artistMbid ? `<a href="https://musicbrainz.org/artist/${encodeURIComponent(info.artistMbid)}" target="_blank" rel="noopener">Artist on MusicBrainz</a>` : ""
+  ].filter(Boolean).join("");
+
+  return `
+    <div class="expandStats">
+      ${opts.showAlbum && info.album ? `<span>Album <b>${escapeHtml(info.album)}</b></span>` : ""}
+      <span>Length <b>${escapeHtml(fmtDuration(info.duration))}</b></span>
+      <span>Last.fm listeners <b>${escapeHtml(fmtCount(info.listeners))}</b></span>
+      ${ours}
+      <span>Scrobbles <b>${escapeHtml(fmtCount(info.playcount))}</b></span>
+    </div>
+    ${links ? `<div class="expandLinks">${links}</div>` : ""}
+  `;
+}
+
+// ---------- tags (data/trackinfo.json + data/tags.json) ----------
+// (songKey, artist, title) -> tags, built once per visit (core.js buildTagLookup)
+let siteTagLookup = null;
+
+function loadSiteTagLookup() {
+  if (!siteTagLookup) {
+    siteTagLookup = loadTagData((name) => loadJSON(`${DATA_DIR}/${name}`))
+      .then(tagData => buildTagLookup(tagData, siteArtistIdentity));
+    siteTagLookup.catch(() => { siteTagLookup = null; });
+  }
+  return siteTagLookup;
+}
+
+// ---------- artist identity (data/artists.json) ----------
+// Loaded before every mount so artistUrl()/artistLinksHtml() can be sync.
+// Missing file = no aliases; names are still cleaned + split.
+let siteArtistIdentity = null;
+
+function loadArtistIdentity() {
+  if (siteArtistIdentity) return Promise.resolve(siteArtistIdentity);
+  return loadJSON(`${DATA_DIR}/${ARTIST_IDENTITY_FILE}`)
+    .catch((e) => {
+      console.warn(`${ARTIST_IDENTITY_FILE} missing, no artist aliases`, e);
+      return null;
+    })
+    .then((table) => {
+      if (!siteArtistIdentity) siteArtistIdentity = buildArtistIdentity(table);
+      return siteArtistIdentity;
+    });
+}
+
+// ---------- search (songs + artists, every week) ----------
+// The index is built on first use and kept for the visit.
+let siteSearchIndex = null;
+
+function loadSearchIndex() {
+  if (!siteSearchIndex) {
+    siteSearchIndex = loadJSON(`${DATA_DIR}/manifest.json`)
+      .then((manifest) => {
+        const weeksDesc = Array.isArray(manifest?.weeks) ? manifest.weeks.slice() : [];
+        if (!weeksDesc.length) throw new Error("No weeks found in data/manifest.json");
+        return loadFullIndex((file) => loadJSON(`${DATA_DIR}/${file}`), weeksDesc);
+      })
+      .then(loaded => buildSearchIndex(loaded.index, siteArtistIdentity));
+    siteSearchIndex.catch(() => { siteSearchIndex = null; });
+  }
+  return siteSearchIndex;
+}
+
+function searchItemHtml(item, i) {
+  const stats = `Peak #${escapeHtml(item.peak)} • ${fmtCount(item.weeks)} wk${item.weeks === 1 ? "" : "s"}`;
+  if (item.key) {
+    return `
+      <a class="searchItem" id="searchItem${i}" role="option" href="${escapeHtml(songUrl(item.key))}">
+        <div class="name">${escapeHtml(item.title)}</div>
+        <div class="meta">${escapeHtml(item.artist)} • ${stats}</div>
+      </a>
+    `;
+  }
+  return `
+    <a class="searchItem" id="searchItem${i}" role="option" href="${escapeHtml(artistUrl(item.name))}">
+      <div class="name">${escapeHtml(item.name)}</div>
+      <div class="meta">${fmtCount(item.songs)} song${item.songs === 1 ? "" : "s"} • ${stats}</div>
+    </a>
+  `;
+}
+
+// Wires #artistSearch / #searchResults on whichever page is mounted
+function setupSiteSearch(signal) {
+  const input = document.getElementById("artistSearch");
+  const box = document.getElementById("searchResults");
+  if (!input || !box) return;
+
+  input.setAttribute("role", "combobox");
+  input.setAttribute("aria-autocomplete", "list");
+  input.setAttribute("aria-controls", "searchResults");
+  input.setAttribute("aria-expanded", "false");
+  box.setAttribute("role", "listbox");
+
+  let items = [];
+  let active = -1;
+  let seq = 0;
+
+  function hide() {
+    box.classList.add("hidden");
+    box.innerHTML = "";
+    items = [];
+    active = -1;
+    input.setAttribute("aria-expanded", "false");
+    input.removeAttribute("aria-activedescendant");
+  }
+
+  function setActive(i) {
+    active = i;
+    box.querySelectorAll(".searchItem").forEach((el, n) => el.classList.toggle("active", n === i));
+    const el = document.getElementById(`searchItem${i}`);
+    if (el) {
+      input.setAttribute("aria-activedescendant", el.id);
+      el.scrollIntoView?.({ block: "nearest" });
+    } else {
+      input.removeAttribute("aria-activedescendant");
+    }
+  }
+
+  function show(found, q) {
+    items = [...found.artists, ...found.songs];
+    active = -1;
+    input.setAttribute("aria-expanded", "true");
+    box.classList.remove("hidden");
+
+    if (!items.length) {
+      box.innerHTML = `<div class="searchEmpty">No songs or artists match “${escapeHtml(q)}”</div>`;
+      return;
+    }
+
+    let i = 0;
+    const group = (label, list) => list.length
+      ? `<div class="searchGroup">${label}</div>${list.map(it => searchItemHtml(it, i++)).join("")}`
+      : "";
+    box.innerHTML = group("Artists", found.artists) + group("Songs", found.songs);
+
+    box.querySelectorAll(".searchItem").forEach((el, n) => {
+      el.addEventListener("mousemove", () => { if (active !== n) setActive(n); });
+    });
+  }
+
+  function open(item) {
+    hide();
+    input.blur();
+    navigate(item.key ? songUrl(item.key) : artistUrl(item.name));
+  }
+
+  async function update() {
+    const q = input.value.trim();
+    const mine = ++seq;
+    if (!q) {
+      hide();
+      return;
+    }
+
+    let searchIndex;
+    try {
+      searchIndex = await loadSearchIndex();
+    } catch (e) {
+      console.warn("Search index failed", e);
+      return;
+    }
+    if (mine !== seq || signal.aborted) return; // typed again / navigated away
+    show(runSearch(searchIndex, q), q);
+  }
+
+  input.addEventListener("input", update, { signal });
+  input.addEventListener("focus", () => {
+    loadSearchIndex().catch(() => {}); // warm up before the first key
+    if (input.value.trim()) update();
+  }, { signal });
+
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      if (!items.length) return;
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setActive((active + step + items.length) % items.length);
+    } else if (e.key === "Enter") {
+      if (!items.length) return;
+      e.preventDefault();
+      open(items[Math.max(active, 0)]);
+    } else if (e.key === "Escape") {
+      hide();
+    }
+  }, { signal });
+
+  // Results are links: site.js's click handler navigates, we just close
+  box.addEventListener("click", (e) => {
+    if (e.target.closest?.(".searchItem")) hide();
+  }, { signal });
+
+  document.addEventListener("click", (e) => {
+    if (!box.contains(e.target) && e.target !== input) hide();
+  }, { signal });
+}
+
+// ---------- single-page navigation ----------
+const ROUTES = [
+  { page: "chart", file: "index.html", script: "chart.js", match: (name) => name === "" || name === "index.html" },
+  { page: "artist", file: "artist.html", script: "artist.js", match: (name) => name === "artist.html" },
+  { page: "song", file: "song.html", script: "song.js", match: (name) => name === "song.html" },
+  { page: "records", file: "records.html", script: "records.js", match: (name) => name === "records.html" },
+  { page: "albums", file: "albums.html", script: "albums.js", match: (name) => name === "albums.html" },
+  { page: "album", file: "album.html", script: "album.js", match: (name) => name === "album.html" },
+  { page: "tags", file: "tags.html", script: "tags.js", match: (name) => name === "tags.html" }
+];
+
+const SITE_BASE = location.pathname.slice(0, location.pathname.lastIndexOf("/") + 1);
+
+const sitePages = new Map();     // page -> { mount(ctx), saveState() }
+const siteViews = new Map();     // history entry id -> { scrollY, view }
+const siteDocs = new Map();      // page file -> Promise<Document>
+const siteScripts = new Map();   // script -> Promise
+
+let siteCurrent = null;          // { page, entryId, controller }
+let siteNavSeq = 0;
+let siteEntrySeq = Date.now();
+
+function routeFor(url) {
+  const u = new URL(url, location.href);
+  if (u.origin !== location.origin) return null;
+  if (!u.pathname.startsWith(SITE_BASE)) return null;
+  const name = u.pathname.slice(SITE_BASE.length);
+  if (name.includes("/")) return null;
+  return ROUTES.find(r => r.match(name)) || null;
+}
+
+// Pages call this once when their script runs
+function registerPage(page, handlers) {
+  sitePages.set(page, handlers);
+
+  // First page of the visit: mount right away on the markup already there
+  if (!siteCurrent && routeFor(location.href)?.page === page) {
+    if (!history.state?.entryId) history.replaceState({ entryId: ++siteEntrySeq }, "");
+    mountPage(page, history.state.entryId, null);
+  }
+}
+
+function mountPage(page, entryId, saved) {
+  const handlers = sitePages.get(page);
+  const controller = new AbortController();
+  siteCurrent = { page, entryId, controller };
+
+  setupSiteSearch(controller.signal);
+  const done = loadArtistIdentity()
+    .then(() => handlers.mount({ signal: controller.signal, state: saved?.view || null }));
+  return done.then(() => {
+    if (saved && siteCurrent?.controller === controller) window.scrollTo(0, saved.scrollY || 0);
+  });
+}
+
+// Remember scroll + expanded rows of the page we are leaving
+function rememberView() {
+  if (!siteCurrent) return;
+  const handlers = sitePages.get(siteCurrent.page);
+  siteViews.set(siteCurrent.entryId, {
+    scrollY: window.scrollY,
+    view: typeof handlers?.saveState === "function" ? handlers.saveState() : null
+  });
+  siteCurrent.controller.abort();
+}
+
+function loadPageDoc(route) {
+  if (!siteDocs.has(route.file)) {
+    const p = fetch(SITE_BASE + route.file)
+      .then((res) => {
+        if (!res.ok) throw new Error(`Failed to load ${route.file} (${res.status})`);
+        return res.text();
+      })
+      .then(html => new DOMParser().parseFromString(html, "text/html"));
+    p.catch(() => siteDocs.delete(route.file));
+    siteDocs.set(route.file, p);
+  }
+  return siteDocs.get(route.file);
+}
+
+function loadPageScript(route) {
+  if (sitePages.has(route.page)) return Promise.resolve();
+  if (!siteScripts.has(route.script)) {
+    siteScripts.set(route.script, new Promise((resolve, reject) => {
+      const s = document.createElement("script");
+      s.src = SITE_BASE + route.script;
+      s.onload = resolve;
+      s.onerror = () => {
+        siteScripts.delete(route.script);
+        reject(new Error(`Failed to load ${route.script}`));
+      };
+      document.body.appendChild(s);
+    }));
+  }
+  return siteScripts.get(route.script);
+}
+
+// Fresh copies of the target page's header + main, so every mount starts clean
+function swapMarkup(doc) {
+  for (const sel of ["header.topbar", "main.wrap"]) {
+    const next = doc.querySelector(sel);
+    const cur = document.querySelector(sel);
+    if (next && cur) cur.replaceWith(document.importNode(next, true));
+  }
+  document.title = doc.title;
+}
+
+async function navigate(url, opts = {}) {
+  const target = new URL(url, location.href);
+  const route = routeFor(target.href);
+  if (!route) {
+    location.href = target.href;
+    return;
+  }
+
+  const seq = ++siteNavSeq;
+  if (!opts.pop) rememberView();
+
+  let doc;
+  try {
+    [doc] = await Promise.all([loadPageDoc(route), loadPageScript(route)]);
+  } catch (e) {
+    console.warn("Single-page navigation failed, loading the page instead", e);
+    location.href = target.href;
+    return;
+  }
+  if (seq !== siteNavSeq) return; // a newer navigation took over
+
+  let entryId;
+  if (opts.pop) {
+    entryId = history.state?.entryId || ++siteEntrySeq;
+  } else {
+    entryId = ++siteEntrySeq;
+    history[opts.replace ? "replaceState" : "pushState"]({ entryId }, "", target.href);
+  }
+
+  swapMarkup(doc);
+  if (!opts.pop) window.scrollTo(0, 0);
+
+  await mountPage(route.page, entryId, opts.pop ? siteViews.get(entryId) : null);
+}
+
+function onLinkClick(e) {
+  if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+  const a = e.target.closest?.("a[href]");
+  if (!a || a.hasAttribute("download") || (a.getAttribute("target") || "_self") !== "_self") return;
+
+  const href = a.getAttribute("href");
+  if (!href || href.startsWith("#") || !routeFor(href)) return;
+
+  e.preventDefault();
+  navigate(href);
+}
+
+if ("scrollRestoration" in history) history.scrollRestoration = "manual";
+
+// Capture phase: row links stop propagation so the row doesn't toggle
+document.addEventListener("click", onLinkClick, true);
+
+window.addEventListener("popstate", () => {
+  if (!siteCurrent) return;
+  rememberView();
+  navigate(location.href, { pop: true });
+});
@@ -0,0 +1,162 @@
+/* =========================================
+   Nabnation Top 100 — song.js
+   - song.html?key=<songKey> (same key as core.js songKey); keys of merged
+     title variants redirect to the song's own key
+   - Cover, artist link, debut / peak / weeks
+   - Chart run + points per week (chartrun.js), and a chart-run share
+     image to download (sharecard.js)
+   - Every award the song has won, week by week
+   - Links the song's album page when data/albums.json knows the album
+   - Length, Last.fm listeners / scrobbles next to our best week's listeners,
+     Last.fm + MusicBrainz links (data/trackinfo.json)
+   - Uses data/derived.json when fresh, full week scan otherwise
+   - Mounted by site.js
+========================================= */
+
+// ---------- small helpers ----------
+function moveLabel(mv) {
+  if (!mv || !mv.type) return "—";
+  const type = normalizeMovementType(mv.type);
+  if (type === "new") return "NEW";
+  if (type === "re") return "RE";
+  if (type === "up") return `▲ ${Math.abs(mv.value ?? 0)}`;
+  if (type === "down") return `▼ ${Math.abs(mv.value ?? 0)}`;
+  return "—";
+}
+
+// ---------- sections ----------
+// album: { id, title } from data/albums.json, or null
+function heroHtml(song, album = null) {
+  const cover = escapeHtml(song.cover && !song.cover.includes("placeholder") ? song.cover : PLACEHOLDER_PRIMARY);
+  const status = song.onLatestChart
+    ? `On the latest chart at <b>#${escapeHtml(song.history[0].rank)}</b>`
+    : `Last charted <a href="${weekUrl(song.lastWeek)}"><b>${escapeHtml(song.lastWeek)}</b></a>`;
+
+  return `
+    <img class="cover songCover" src="${cover}" alt="" />
+    <div class="songInfo">
+      <div class="expandTitle">${escapeHtml(song.title)}</div>
+      <div class="expandArtist">${artistLinksHtml(song.artist)}</div>
+
+      <div class="expandStats">
+        <span>Debut <b><a href="${weekUrl(song.debutDate)}">${escapeHtml(song.debutDate)}</a></b></span>
+        <span>Peak <b>#${escapeHtml(song.peak)}</b>${song.peakDate ? ` on <a href="${weekUrl(song.peakDate)}">${escapeHtml(song.peakDate)}</a>` : ""}</span>
+        <span>Weeks <b>${escapeHtml(song.weeks)}</b></span>
+      </div>
+
+      <div class="expandStats">
+        <span>Total points <b>${escapeHtml(fmtPoints(song.totalPoints))}</b></span>
+        <span>Best week <b>${escapeHtml(fmtPoints(song.bestPoints?.points))}</b>${song.bestPoints ? ` pts on <a href="${weekUrl(song.bestPoints.week)}">${escapeHtml(song.bestPoints.week)}</a>` : ""}</span>
+        <span>Awards <b>${escapeHtml(song.awards.length)}</b></span>
+      </div>
+
+      <div class="expandMeta"><span>${status}</span>${album ? `<span> • From <a href="${albumUrl(album.id)}"><b>${escapeHtml(album.title)}</b></a></span>` : ""}</div>
+    </div>
+  `;
+}
+
+function awardsHtml(awards) {
+  if (!awards.length) return `<div class="mutedSmall">No weekly awards yet.</div>`;
+
+  return `
+    <div class="history">
+      ${awards.map(a => `
+        <div class="historyRow">
+          <span><a href="${weekUrl(a.week)}">${escapeHtml(a.week)}</a></span>
+          <span class="awardText ${escapeHtml(a.cls)}">${escapeHtml(a.text)}</span>
+          <span>Rank <b>#${escapeHtml(a.rank)}</b></span>
+        </div>
+      `).join("")}
+    </div>
+  `;
+}
+
+function weeksHtml(history) {
+  return `
+    <div class="history">
+      ${history.map(h => `
+        <div class="historyRow hasPoints">
+          <div><a href="${weekUrl(h.week)}">${escapeHtml(h.week)}</a></div>
+          <div><b>Rank</b> #${escapeHtml(h.rank)} <span class="mutedSmall">${escapeHtml(moveLabel(h.movement))}</span></div>
+          <div class="histNum"><b>${escapeHtml(fmtPoints(h.points))}</b> pts</div>
+          <div class="histNum"><b>${escapeHtml(fmtCount(h.listeners))}</b> listeners</div>
+        </div>
+      `).join("")}
+    </div>
+  `;
+}
+
+// ---------- mount ----------
+async function mountSongPage(ctx) {
+  const key = qs("key");
+  if (!key) throw new Error("Missing ?key= in URL");
+
+  const manifest = await loadJSON(`${DATA_DIR}/manifest.json`);
+  const weeksDesc = Array.isArray(manifest?.weeks) ? manifest.weeks.slice() : [];
+  if (!weeksDesc.length) throw new Error("No weeks found in data/manifest.json");
+
+  const loaded = await loadSongDetail((name) => loadJSON(`${DATA_DIR}/${name}`), weeksDesc, key, siteArtistIdentity);
+  if (ctx.signal.aborted) return; // navigated away while loading
+  const song = loaded.song;
+  if (!song) throw new Error("Song not found (it may not have charted yet).");
+
+  // Merged spelling (data/songs.json / title variants): use the song's own URL
+  if (song.key !== key) {
+    navigate(songUrl(song.key), { replace: true });
+    return;
+  }
+
+  document.title = `${song.title} — ${song.artist} • Nabnation Top 100`;
+  document.getElementById("songTitle").textContent = song.title;
+  document.getElementById("songMeta").innerHTML =
+    `${artistLinksHtml(song.artist)} • Peak #${escapeHtml(song.peak)} • ${escapeHtml(song.weeks)} week(s) on chart`;
+
+  const hero = document.getElementById("songHero");
+  const [albumsData, trackInfo] = await Promise.all([
+    loadJSON(`${DATA_DIR}/${ALBUMS_FILE}`).catch(() => null),
+    loadSiteTrackInfo()
+  ]);
+  if (ctx.signal.aborted) return;
+  const albumId = albumsData?.songs?.[song.key];
+  const album = albumId && albumsData.albums?.[albumId] ? { id: albumId, title: albumsData.albums[albumId].title } : null;
+  hero.innerHTML = heroHtml(song, album);
+  attachImgFallback(hero);
+
+  const bestListeners = Math.max(0, ...song.history.map(h => h.listeners).filter(Number.isFinite));
+  document.getElementById("songLastfm").innerHTML = trackInfoHtml(trackInfo[song.key], {
+    listeners: bestListeners || undefined,
+    listenersLabel: "Our best week"
+  });
+
+  const run = document.getElementById("songRun");
+  run.innerHTML = buildChartRunSvg(song.history, { weeks: loaded.weeksAsc, weekHref: weekUrl, label: song.title });
+  setupChartRun(run);
+
+  const shareBtn = document.getElementById("songShareBtn");
+  shareBtn.hidden = false;
+  shareBtn.onclick = () => {
+    shareBtn.disabled = true;
+    downloadShareImage((canvas) => renderSongCard(canvas, song, loaded.weeksAsc, loadShareImage), `${coverSlug(song.title, song.artist)}.png`)
+      .catch((e) => console.warn("Share image failed", e))
+      .finally(() => { shareBtn.disabled = false; });
+  };
+
+  const points = document.getElementById("songPoints");
+  points.innerHTML = buildPointsRunSvg(song.history, { weeks: loaded.weeksAsc, weekHref: weekUrl, label: song.title })
+    || `<div class="mutedSmall">No points recorded for this song.</div>`;
+  setupChartRun(points);
+
+  document.getElementById("songAwards").innerHTML = awardsHtml(song.awards);
+  document.getElementById("songWeeks").innerHTML = weeksHtml(song.history);
+
+  const footInfo = document.getElementById("footInfo");
+  if (footInfo) footInfo.textContent = `${song.history.length} chart week(s) • ${loaded.source === "index" ? "from data/derived.json" : "full week scan"}`;
+}
+
+registerPage("song", {
+  mount: (ctx) => mountSongPage(ctx).catch((err) => {
+    console.error(err);
+    const hero = document.getElementById("songHero");
+    if (hero) hero.innerHTML = `<div class="mutedSmall">${escapeHtml(err.message)}</div>`;
+  })
+});
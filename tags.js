@@ -0,0 +1,157 @@
+/* =========================================
+   Nabnation Top 100 — tags.js
+   - tags.html?week=<week>: the week's chart broken down by tag (share of
+     the top 100 + each tag's top songs), and share over time for the
+     biggest tags
+   - tags.html?tag=<tag>&week=<week>: that tag's own mini chart for the
+     week + its share of every week's chart
+   - Tags per song: core.js buildTagLookup (Last.fm tags from
+     data/trackinfo.json, overrides in data/tags.json)
+   - Mounted by site.js
+========================================= */
+
+const TAG_LIST_LIMIT = 25;
+const TAG_TOP_SONGS = 3;
+
+function tagShareText(count, size) {
+  return size ? `${Math.round((count / size) * 100)}%` : "—";
+}
+
+// One tag in the week's breakdown: share bar + its best-ranked songs
+function tagRowHtml(t, size, week) {
+  const songs = t.songs.slice(0, TAG_TOP_SONGS)
+    .map(e => `<a href="${songUrl(e._key)}">${escapeHtml(e.title)}</a> <span class="mutedSmall">#${escapeHtml(e.rank)}</span>`)
+    .join(", ");
+  const more = t.songs.length > TAG_TOP_SONGS ? ` <span class="mutedSmall">+${t.songs.length - TAG_TOP_SONGS} more</span>` : "";
+
+  return `
+    <li class="tagRow">
+      <div class="tagName"><a href="${tagUrl(t.tag, week)}">${escapeHtml(t.tag)}</a></div>
+      <div class="tagBar" aria-hidden="true"><span style="width:${Math.round(t.share * 100)}%"></span></div>
+      <div class="tagCount"><b>${escapeHtml(t.count)}</b> · ${escapeHtml(tagShareText(t.count, size))}</div>
+      <div class="recordDetail">${songs}${more}</div>
+    </li>
+  `;
+}
+
+// A tag's mini chart: its songs on this week's chart, ranked among themselves
+function tagSongRowHtml(e, n) {
+  const cover = escapeHtml(e.cover && !e.cover.includes("placeholder") ? e.cover : PLACEHOLDER_PRIMARY);
+  return `
+    <li class="cmpRow noBadge">
+      <div class="cmpRank">${escapeHtml(n + 1)}</div>
+      <img class="cover" src="${cover}" alt="" loading="lazy" />
+      <div class="cmpSong">
+        <div class="cmpTitle"><a href="${songUrl(e._key)}">${escapeHtml(e.title)}</a></div>
+        <div class="cmpArtist">${artistLinksHtml(e.artist)}</div>
+      </div>
+      <div class="albumStats">
+        <span>Chart <b>#${escapeHtml(e.rank)}</b></span>
+        <span class="mutedSmall">${escapeHtml(fmtPoints(e.points))} pts</span>
+      </div>
+    </li>
+  `;
+}
+
+function tagSeries(trend, trends) {
+  return trends.weeks.map((week, i) => ({ week, count: trend.counts[i], size: trends.sizes[i] }));
+}
+
+function tagTrendHtml(trend, trends, week, heading) {
+  const svg = buildShareRunSvg(tagSeries(trend, trends), {
+    weekHref: (w) => tagUrl(trend.tag, w),
+    label: trend.tag
+  });
+  return `
+    <div class="tagTrend">
+      ${heading ? `<div class="tagTrendHead"><a href="${tagUrl(trend.tag, week)}">${escapeHtml(trend.tag)}</a> <span class="mutedSmall">${escapeHtml(trend.weeksCharted)} week(s) · ${escapeHtml(trend.total)} song-week(s)</span></div>` : ""}
+      ${svg}
+    </div>
+  `;
+}
+
+// ---------- mount ----------
+async function mountTagsPage(ctx) {
+  const manifest = await loadJSON(`${DATA_DIR}/manifest.json`);
+  const weeksDesc = Array.isArray(manifest?.weeks) ? manifest.weeks.slice() : [];
+  if (!weeksDesc.length) throw new Error("No weeks found in data/manifest.json");
+
+  const week = weeksDesc.includes(qs("week")) ? qs("week") : weeksDesc[0];
+  const tag = qs("tag") ? tagName(qs("tag")) : "";
+
+  const [loaded, tagsOf] = await Promise.all([
+    loadFullIndex((name) => loadJSON(`${DATA_DIR}/${name}`), weeksDesc),
+    loadSiteTagLookup()
+  ]);
+  if (ctx.signal.aborted) return; // navigated away while loading
+
+  const trends = buildTagTrends(loaded.index, tagsOf);
+  const weekIdx = trends.weeks.indexOf(week);
+  const entries = trends.weekEntries[weekIdx] || [];
+  const breakdown = tagBreakdown(entries, tagsOf);
+
+  const weekSelect = document.getElementById("tagWeekSelect");
+  weekSelect.innerHTML = weeksDesc.map(w => `<option value="${escapeHtml(w)}">${escapeHtml(w)}</option>`).join("");
+  weekSelect.value = week;
+  weekSelect.addEventListener("change", () => navigate(tagUrl(tag, weekSelect.value), { replace: true }));
+
+  // Every tag that has charted, biggest first; the current one even if it never has
+  const tagSelect = document.getElementById("tagSelect");
+  const known = trends.tags.map(t => t.tag);
+  if (tag && !known.includes(tag)) known.unshift(tag);
+  tagSelect.innerHTML = [`<option value="">All tags</option>`]
+    .concat(known.map(t => `<option value="${escapeHtml(t)}">${escapeHtml(t)}</option>`))
+    .join("");
+  tagSelect.value = tag;
+  tagSelect.addEventListener("change", () => navigate(tagUrl(tagSelect.value, week)));
+
+  document.getElementById("tagsWeek").textContent = `Week of ${week}`;
+  const weekBox = document.getElementById("tagWeek");
+  const trendBox = document.getElementById("tagTrends");
+  const footInfo = document.getElementById("footInfo");
+  const tagged = entries.filter(e => tagsOf(e._key, e.artist, e.title).length).length;
+
+  if (tag) {
+    document.title = `${tag} • Tags • Nabnation Top 100`;
+    document.getElementById("tagsTitle").textContent = tag;
+    document.getElementById("tagWeekHead").textContent = `${tag} this week`;
+
+    const own = breakdown.find(t => t.tag === tag);
+    weekBox.innerHTML = own
+      ? `
+        <div class="mutedSmall">${escapeHtml(own.count)} of ${escapeHtml(entries.length)} songs (${escapeHtml(tagShareText(own.count, entries.length))}) •
+          <a href="${weekUrl(week)}&tag=${encodeURIComponent(tag)}">Show on the main chart</a></div>
+        <ol class="cmpList">${own.songs.map(tagSongRowHtml).join("")}</ol>
+      `
+      : `<div class="mutedSmall">No ${escapeHtml(tag)} songs on this week's chart.</div>`;
+    attachImgFallback(weekBox);
+
+    const trend = trends.tags.find(t => t.tag === tag);
+    trendBox.innerHTML = trend ? tagTrendHtml(trend, trends, week, false) : `<div class="mutedSmall">This tag hasn't charted yet.</div>`;
+  } else {
+    document.title = "Tags • Nabnation Top 100";
+    document.getElementById("tagsTitle").textContent = "Tags";
+    document.getElementById("tagWeekHead").textContent = "This week by tag";
+
+    const shown = breakdown.slice(0, TAG_LIST_LIMIT);
+    weekBox.innerHTML = shown.length
+      ? `<ol class="tagList">${shown.map(t => tagRowHtml(t, entries.length, week)).join("")}</ol>
+         ${breakdown.length > shown.length ? `<div class="mutedSmall">${escapeHtml(breakdown.length - shown.length)} more tag(s) with fewer songs.</div>` : ""}`
+      : `<div class="mutedSmall">No tagged songs this week.</div>`;
+
+    trendBox.innerHTML = `<div class="tagTrendGrid">${trends.tags.slice(0, TAG_TREND_LIMIT).map(t => tagTrendHtml(t, trends, week, true)).join("")}</div>`;
+  }
+  setupChartRun(trendBox);
+
+  if (footInfo) {
+    footInfo.textContent = `${tagged} of ${entries.length} song(s) this week have tags (Last.fm + data/${TAGS_FILE}) • a song counts once for each of its tags`;
+  }
+}
+
+registerPage("tags", {
+  mount: (ctx) => mountTagsPage(ctx).catch((err) => {
+    console.error(err);
+    const box = document.getElementById("tagWeek");
+    if (box) box.innerHTML = `<div class="mutedSmall">${escapeHtml(err.message)}</div>`;
+  })
+});